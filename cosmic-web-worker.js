@@ -0,0 +1,76 @@
+// === COSMIC WEB WORKER ===
+// Generates and draws the cosmic web on an OffscreenCanvas so the page's main thread
+// only has to forward resize, scroll and theme changes.
+importScripts('cosmic-web.js');
+
+let cosmicWeb = null;
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            cosmicWeb = new CosmicWeb(null, { offscreenCanvas: message.canvas });
+            cosmicWeb.onQualityChange = (tier) => self.postMessage({ type: 'quality', tier });
+            Object.assign(cosmicWeb.config, message.config);
+            cosmicWeb.seed = message.seed;
+            cosmicWeb.theme = message.theme;
+            cosmicWeb.palette = message.palette;
+            cosmicWeb.reducedMotion = message.reducedMotion;
+            cosmicWeb.scroll = message.scroll;
+            message.pauseReasons.forEach((reason) => cosmicWeb.pauseReasons.add(reason));
+            if (message.intro) cosmicWeb.beginIntro();
+            cosmicWeb.start(message.width, message.height, message.origins, message.pixelRatio);
+            break;
+        case 'resize':
+            if (cosmicWeb) {
+                cosmicWeb.scroll = message.scroll;
+                cosmicWeb.setViewport(message.width, message.height, message.origins, message.pixelRatio);
+            }
+            break;
+        case 'scroll':
+            if (cosmicWeb) {
+                cosmicWeb.setOrigins(message.origins);
+                cosmicWeb.scroll = message.scroll;
+                cosmicWeb.refresh();
+            }
+            break;
+        case 'config':
+            if (cosmicWeb) cosmicWeb.setConfig(message.config);
+            break;
+        case 'theme':
+            if (cosmicWeb) cosmicWeb.setTheme(message.theme, message.palette);
+            break;
+        case 'pause':
+            if (cosmicWeb) cosmicWeb.pause(message.reason);
+            break;
+        case 'resume':
+            if (cosmicWeb) cosmicWeb.resume(message.reason);
+            break;
+        case 'pointer':
+            if (cosmicWeb) cosmicWeb.setPointer(message.x, message.y, message.active);
+            break;
+        case 'pick':
+            if (cosmicWeb) {
+                self.postMessage({
+                    type: 'picked',
+                    x: message.x,
+                    y: message.y,
+                    galaxy: cosmicWeb.pickGalaxy(message.x, message.y, message.radius)
+                });
+            }
+            break;
+        case 'stats':
+            if (cosmicWeb) self.postMessage({ type: 'stats', ...cosmicWeb.stats() });
+            break;
+        case 'skipIntro':
+            if (cosmicWeb) cosmicWeb.skipIntro();
+            break;
+        case 'reducedMotion':
+            if (cosmicWeb) cosmicWeb.setReducedMotion(message.reducedMotion);
+            break;
+    }
+});
+
+// cosmic-web.js loaded, so the page can hand over the canvas
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,3501 @@
+// === COSMIC WEB ===
+// Shared by the page (script.js) and the rendering worker (cosmic-web-worker.js),
+// so nothing in here may touch the DOM unless it runs on the main thread.
+
+// Hash an arbitrary seed (number or string) into a 32-bit unsigned integer
+function hashSeed(seed) {
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// Small, fast seeded PRNG (mulberry32) returning floats in [0, 1)
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// === REDSHIFT & COLOR MAPS ===
+// Tabulate comoving distance D_C(z) = (c / H0) * integral of dz / E(z) for a flat ΛCDM universe,
+// so galaxy distances can be turned back into redshifts with a lookup
+function createRedshiftTable({ H0, omegaM }, zMax = 10, steps = 1000) {
+    const hubbleDistance = 299792.458 / H0; // Mpc
+    const omegaLambda = 1 - omegaM;
+    const inverseE = (z) => 1 / Math.sqrt(omegaM * (1 + z) ** 3 + omegaLambda);
+    const redshifts = new Float64Array(steps + 1);
+    const distances = new Float64Array(steps + 1);
+    const dz = zMax / steps;
+
+    for (let i = 1; i <= steps; i++) {
+        redshifts[i] = i * dz;
+        // Trapezoidal rule
+        distances[i] = distances[i - 1] + hubbleDistance * dz * 0.5 * (inverseE((i - 1) * dz) + inverseE(i * dz));
+    }
+    return { redshifts, distances };
+}
+
+// Linear interpolation in a monotonically increasing table (binary search), clamped to its ends
+function interpolateTable(x, xs, ys) {
+    const last = xs.length - 1;
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[last]) return ys[last];
+
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (xs[mid] < x) lo = mid;
+        else hi = mid;
+    }
+    const f = (x - xs[lo]) / (xs[hi] - xs[lo]);
+    return ys[lo] + f * (ys[hi] - ys[lo]);
+}
+
+function comovingDistanceToRedshift(distance, table) {
+    return interpolateTable(distance, table.distances, table.redshifts);
+}
+
+function redshiftToComovingDistance(z, table) {
+    return interpolateTable(z, table.redshifts, table.distances);
+}
+
+// === GALAXY CATALOGUES ===
+// Parse a survey catalogue into [{ ra, dec, z }] (degrees, degrees, redshift).
+// Accepts CSV with a header row (ra/dec/z columns, '#' comments allowed; comma, semicolon or
+// whitespace separated, cells optionally quoted) or JSON: an array of objects, or an object
+// holding one under "galaxies".
+function parseCatalogue(text, url = '') {
+    const columns = {
+        ra: ['ra', 'ra_deg', 'raj2000', 'alpha'],
+        dec: ['dec', 'dec_deg', 'dej2000', 'decj2000', 'delta'],
+        z: ['z', 'redshift', 'z_helio']
+    };
+    const pick = (record, names) => {
+        const key = Object.keys(record).find((k) => names.includes(k.trim().toLowerCase()));
+        return key === undefined ? NaN : parseFloat(record[key]);
+    };
+    const toRow = (record) => ({
+        ra: pick(record, columns.ra),
+        dec: pick(record, columns.dec),
+        z: pick(record, columns.z)
+    });
+    const isValid = (row) => Number.isFinite(row.ra) && Number.isFinite(row.dec) && Number.isFinite(row.z) && row.z >= 0;
+
+    const trimmed = text.trim();
+    if (/\.json$/i.test(url) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        const records = Array.isArray(data) ? data : (data.galaxies || []);
+        return records.map(toRow).filter(isValid);
+    }
+
+    const lines = trimmed.split(/\r?\n/).filter((line) => line.trim() && !line.trim().startsWith('#'));
+    if (lines.length < 2) return [];
+    // Comma or semicolon separated (quoted cells may contain the delimiter), else whitespace
+    const delimiter = [',', ';'].find((d) => lines[0].includes(d));
+    const unquote = (cell) => cell.trim().replace(/^(["'])(.*)\1$/, '$2');
+    const split = (line) => {
+        if (!delimiter) return line.trim().split(/\s+/).map(unquote);
+        const cells = [''];
+        let quoted = false;
+        for (const char of line) {
+            if (char === '"') {
+                quoted = !quoted;
+            } else if (char === delimiter && !quoted) {
+                cells.push('');
+            } else {
+                cells[cells.length - 1] += char;
+            }
+        }
+        // Semicolon files usually come from locales that write decimal commas
+        return cells.map((cell) => (delimiter === ';' ? unquote(cell).replace(',', '.') : unquote(cell)));
+    };
+    const header = split(lines[0]);
+    return lines.slice(1).map((line) => {
+        const values = split(line);
+        const record = {};
+        header.forEach((name, i) => { record[name] = values[i]; });
+        return toRow(record);
+    }).filter(isValid);
+}
+
+// Approximate sRGB color of a blackbody at the given temperature (Tanner Helland's fit)
+function blackbodyColor(kelvin) {
+    const t = kelvin / 100;
+    const clamp = (v) => Math.max(0, Math.min(255, v));
+    const r = t <= 66 ? 255 : clamp(329.698727446 * Math.pow(t - 60, -0.1332047592));
+    const g = t <= 66
+        ? clamp(99.4708025861 * Math.log(t) - 161.1195681661)
+        : clamp(288.1221695283 * Math.pow(t - 60, -0.0755148492));
+    const b = t >= 66 ? 255 : (t <= 19 ? 0 : clamp(138.5177312231 * Math.log(t - 10) - 305.0447927307));
+    return [r, g, b];
+}
+
+// Linear interpolation between evenly spaced [r, g, b] stops
+function colorStops(stops) {
+    return (t) => {
+        const x = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const i = Math.min(Math.floor(x), stops.length - 2);
+        const f = x - i;
+        return stops[i].map((c, k) => c + (stops[i + 1][k] - c) * f);
+    };
+}
+
+// Color maps take a normalized redshift in [0, 1] and return [r, g, b] in 0..255
+const COLOR_MAPS = {
+    // The original blue -> red ramp
+    classic: (t) => [170 + 85 * t, 220 - 80 * t, 255 - 150 * t],
+    viridis: colorStops([
+        [68, 1, 84], [71, 45, 123], [59, 82, 139], [44, 114, 142], [33, 145, 140],
+        [39, 173, 129], [94, 201, 98], [170, 220, 50], [253, 231, 37]
+    ]),
+    magma: colorStops([
+        [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122],
+        [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]
+    ]),
+    // Nearby galaxies hot and blue-white, the most distant ones cool and red
+    blackbody: (t) => blackbodyColor(12000 - 10000 * t)
+};
+
+// 256-entry RGBA lookup table of a color map; shade < 1 darkens it to read on paper
+function buildColorMapLUT(name, shade = 1) {
+    const map = COLOR_MAPS[name] || COLOR_MAPS.classic;
+    const lut = new Uint8Array(256 * 4);
+    for (let i = 0; i < 256; i++) {
+        const [r, g, b] = map(i / 255);
+        lut.set([Math.floor(r * shade), Math.floor(g * shade), Math.floor(b * shade), 255], i * 4);
+    }
+    return lut;
+}
+
+// === THEME PALETTES ===
+// Canvas colors come from --cosmic-* custom properties in style.css, so a new [data-theme] block
+// there restyles the background without touching this file. Colors are "R, G, B" triplets and
+// are kept as 'rgba(r, g, b' prefixes; these values are the fallback when a property is missing.
+const DEFAULT_PALETTE = {
+    filament: 'rgba(150, 200, 255',
+    bigBang: {
+        core: 'rgba(255, 255, 255',
+        mid: 'rgba(200, 220, 255',
+        outer: 'rgba(150, 200, 255'
+    },
+    void: 'rgba(0, 0, 0',
+    background: '#0a0a0f', // exportImage() fill
+    filamentAlpha: 0.01,
+    backgroundFilamentAlpha: 0.01,
+    linkAlpha: 0.06,
+    galaxyShade: 1, // Color map brightness
+    galaxyOpacity: 1, // Ceiling on galaxy alpha
+    glowOpacity: 1, // Scales the bright point and cluster node glows
+    foregroundBrightness: 2.5, // Alpha gain per filament layer
+    backgroundBrightness: 0.5,
+    minContrast: 0 // WCAG ratio text keeps over the canvas, 0 = unchecked
+};
+
+// Build a palette from a getPropertyValue-style lookup (a CSSStyleDeclaration on the page)
+function readThemePalette(style) {
+    const read = (name) => (style ? style.getPropertyValue(name).trim() : '');
+    const color = (name, fallback) => (read(name) ? `rgba(${read(name)}` : fallback);
+    const number = (name, fallback) => {
+        const value = parseFloat(read(name));
+        return Number.isFinite(value) ? value : fallback;
+    };
+
+    return {
+        filament: color('--cosmic-filament', DEFAULT_PALETTE.filament),
+        bigBang: {
+            core: color('--cosmic-glow-core', DEFAULT_PALETTE.bigBang.core),
+            mid: color('--cosmic-glow-mid', DEFAULT_PALETTE.bigBang.mid),
+            outer: color('--cosmic-glow-outer', DEFAULT_PALETTE.bigBang.outer)
+        },
+        void: color('--cosmic-void', DEFAULT_PALETTE.void),
+        background: read('--cosmic-background') || DEFAULT_PALETTE.background,
+        filamentAlpha: number('--cosmic-filament-alpha', DEFAULT_PALETTE.filamentAlpha),
+        backgroundFilamentAlpha: number('--cosmic-background-filament-alpha', DEFAULT_PALETTE.backgroundFilamentAlpha),
+        linkAlpha: number('--cosmic-link-alpha', DEFAULT_PALETTE.linkAlpha),
+        galaxyShade: number('--cosmic-galaxy-shade', DEFAULT_PALETTE.galaxyShade),
+        galaxyOpacity: number('--cosmic-galaxy-opacity', DEFAULT_PALETTE.galaxyOpacity),
+        glowOpacity: number('--cosmic-glow-opacity', DEFAULT_PALETTE.glowOpacity),
+        foregroundBrightness: number('--cosmic-foreground-brightness', DEFAULT_PALETTE.foregroundBrightness),
+        backgroundBrightness: number('--cosmic-background-brightness', DEFAULT_PALETTE.backgroundBrightness),
+        minContrast: number('--cosmic-min-contrast', DEFAULT_PALETTE.minContrast)
+    };
+}
+
+// Alpha of a galaxy on its layer: shimmer x fade x layer gain, capped by the palette opacity
+function galaxyAlpha(palette, shimmer, fade, depth) {
+    const brightness = depth === 1.0 ? palette.foregroundBrightness : palette.backgroundBrightness;
+    return Math.min(1, shimmer * fade * brightness) * palette.galaxyOpacity;
+}
+
+// '#rgb', '#rrggbb', 'rgb()/rgba()' or an 'R, G, B' triplet -> [r, g, b, a]; null if unreadable
+function parseColor(value) {
+    const text = String(value || '').trim();
+    const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+    }
+
+    const parts = text.replace(/^rgba?\(|\)$/g, '').split(',').map((part) => parseFloat(part));
+    if (parts.length < 3 || parts.slice(0, 3).some((part) => !Number.isFinite(part))) return null;
+    return [parts[0], parts[1], parts[2], Number.isFinite(parts[3]) ? parts[3] : 1];
+}
+
+// Source-over of `top` at `alpha` onto an opaque `bottom`, both [r, g, b]
+function blendColor(bottom, top, alpha) {
+    return bottom.map((channel, i) => channel + (top[i] - channel) * alpha);
+}
+
+// WCAG 2 contrast ratio between two opaque sRGB colors
+function contrastRatio(a, b) {
+    const luminance = (color) => {
+        const [r, g, b] = color.map((channel) => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Scale the palette's ink (galaxy opacity and filament alphas) and, separately, its glows down
+// until no single mark of them, seen through the canvas opacity and the page overlay, pulls a
+// text color below minContrast. The glows get their own scale so a dark bright point on the light
+// theme doesn't also fade every galaxy.
+// surroundings: { background, texts: [color], canvasOpacity, overlay: [r, g, b, a] | null }
+function enforceContrast(palette, surroundings) {
+    const background = parseColor(surroundings.background);
+    const texts = surroundings.texts.map(parseColor).filter(Boolean);
+    if (!(palette.minContrast > 0) || !background || texts.length === 0) return palette;
+
+    // Every color a galaxy (field or cluster member) can take under any color map, plus the
+    // filament stroke; alpha(scale) is the mark's opacity with the palette scaled by `scale`
+    const inks = [];
+    for (const name of Object.keys(COLOR_MAPS)) {
+        const lut = buildColorMapLUT(name, palette.galaxyShade);
+        for (let i = 0; i < 256; i++) {
+            inks.push({ color: Array.from(lut.subarray(i * 4, i * 4 + 3)), alpha: (scale) => palette.galaxyOpacity * scale });
+        }
+    }
+    const filamentAlpha = Math.max(palette.filamentAlpha, palette.linkAlpha);
+    inks.push({ color: parseColor(palette.filament), alpha: (scale) => filamentAlpha * scale });
+
+    // Centre of the bright point, where its layers stack; node glows use the same colors fainter
+    const glowLayers = [0.15, 0.3, 0.5, 0.8, 1.0];
+    const stacked = (scale, factor) => 1 - glowLayers.reduce((clear, alpha) => clear * (1 - alpha * factor * palette.glowOpacity * scale), 1);
+    const glows = [
+        { color: parseColor(palette.bigBang.core), alpha: (scale) => stacked(scale, 1) },
+        { color: parseColor(palette.bigBang.mid), alpha: (scale) => stacked(scale, 0.6) }
+    ].filter((ink) => ink.color);
+
+    const overlay = surroundings.overlay;
+    const worstContrast = (marks, scale) => {
+        let worst = Infinity;
+        for (const ink of marks) {
+            let pixel = blendColor(background.slice(0, 3), ink.color, ink.alpha(scale) * surroundings.canvasOpacity);
+            if (overlay) pixel = blendColor(pixel, overlay, overlay[3]);
+            for (const text of texts) worst = Math.min(worst, contrastRatio(pixel, text.slice(0, 3)));
+        }
+        return worst;
+    };
+    // Largest scale that still passes (the text must pass on the bare background to begin with)
+    const largestScale = (marks) => {
+        if (worstContrast(marks, 1) >= palette.minContrast) return 1;
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 16; i++) {
+            const mid = (low + high) / 2;
+            if (worstContrast(marks, mid) >= palette.minContrast) low = mid;
+            else high = mid;
+        }
+        return low;
+    };
+
+    const inkScale = largestScale(inks);
+    const glowScale = largestScale(glows);
+    if (inkScale === 1 && glowScale === 1) return palette;
+
+    return {
+        ...palette,
+        galaxyOpacity: palette.galaxyOpacity * inkScale,
+        filamentAlpha: palette.filamentAlpha * inkScale,
+        backgroundFilamentAlpha: palette.backgroundFilamentAlpha * inkScale,
+        linkAlpha: palette.linkAlpha * inkScale,
+        glowOpacity: palette.glowOpacity * glowScale
+    };
+}
+
+// requestAnimationFrame exists on the page and in dedicated workers of modern browsers
+const requestFrame = typeof requestAnimationFrame === 'function'
+    ? (callback) => requestAnimationFrame(callback)
+    : (callback) => setTimeout(() => callback(performance.now()), 16);
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? (handle) => cancelAnimationFrame(handle)
+    : (handle) => clearTimeout(handle);
+
+// Quality tiers for the adaptive frame-budget controller, cheapest first.
+// galaxyFraction scales config.pointsPerFilament, segmentScale scales config.filamentSegments,
+// shimmerInterval redraws the shimmer only every N frames (view changes still redraw at once).
+const QUALITY_TIERS = [
+    { name: 'low', galaxyFraction: 0.35, segmentScale: 0.4, shimmerInterval: 3 },
+    { name: 'medium', galaxyFraction: 0.65, segmentScale: 0.7, shimmerInterval: 2 },
+    { name: 'high', galaxyFraction: 1.0, segmentScale: 1.0, shimmerInterval: 1 },
+    { name: 'ultra', galaxyFraction: 1.5, segmentScale: 1.6, shimmerInterval: 1 }
+];
+const MAX_GALAXY_FRACTION = Math.max(...QUALITY_TIERS.map((tier) => tier.galaxyFraction));
+const GALAXY_SPRITE_CELL = 32; // Device px per glow disc in CosmicWeb.galaxySprites()
+
+// === CONFIG PRESETS ===
+// Named starting points for CosmicWeb's config, picked with data-preset="2dF wedge" on #starfield
+// or { preset: 'minimal' } in the constructor options. Unlisted keys keep their defaults.
+const COSMIC_WEB_PRESETS = {
+    // A single survey slice opening down-left from the origin, out to z ~ 0.3 like 2dFGRS
+    '2df-wedge': {
+        wedgeAngle: Math.PI * 5 / 12, // 75°, about the width of the NGP strip in RA
+        wedgeRotation: Math.PI * 13 / 24, // Centred on down-left
+        majorFilaments: 24,
+        backgroundFilaments: 12,
+        pointsPerFilament: 900,
+        coneWidth: [4, 90],
+        aberration: { skew: -0.15 },
+        layers: { clusters: true },
+        cosmology: { edgeDistance: 1200 }
+    },
+    // Dense, well-connected web reaching further back, in the look of the Millennium Run slices
+    'millennium-sim': {
+        majorFilaments: 18,
+        backgroundFilaments: 12,
+        pointsPerFilament: 1400,
+        clusterCount: 60,
+        nodeLinks: 3,
+        coneWidth: [8, 160],
+        layers: { clusters: true, voids: true, nodes: true },
+        colorMap: 'magma',
+        cosmology: { edgeDistance: 3300 } // z ~ 1
+    },
+    // The default: straight filaments radiating from the origin like a sunburst
+    radial: {
+        generator: 'radial'
+    },
+    // Curved filaments branching between cluster nodes along the edges of voids
+    skeleton: {
+        generator: 'skeleton',
+        skeleton: { cells: 40, curvature: 0.12, originLinks: 5 },
+        coneWidth: [5, 60],
+        layers: { clusters: true }
+    },
+    // Quiet background for text-heavy pages
+    minimal: {
+        majorFilaments: 6,
+        backgroundFilaments: 0,
+        pointsPerFilament: 500,
+        shimmerSpeed: 0.0015,
+        motionAmplitude: 1,
+        interactive: false,
+        layers: { clusters: false, voids: false, nodes: false, morphology: false },
+        parallax: { zoomThrough: false }
+    }
+};
+
+// "2dF wedge", "2df-wedge" and "2DF_WEDGE" all name the same preset
+function resolvePreset(name) {
+    const key = String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+    const preset = COSMIC_WEB_PRESETS[key];
+    if (!preset) {
+        console.warn(`Unknown cosmic web preset "${name}", expected one of: ${Object.keys(COSMIC_WEB_PRESETS).join(', ')}`);
+    }
+    return preset || {};
+}
+
+// Deep-merge a partial config into target; nested objects merge, arrays and values replace
+function mergeConfig(target, partial) {
+    for (const [key, value] of Object.entries(partial)) {
+        if (Array.isArray(value)) {
+            target[key] = [...value];
+        } else if (value && typeof value === 'object') {
+            const nested = target[key] && typeof target[key] === 'object' && !Array.isArray(target[key]);
+            target[key] = mergeConfig(nested ? target[key] : {}, value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+// Config keys that only change how the existing structure is drawn; setConfig() regenerates for the rest
+const VIEW_CONFIG_KEYS = new Set([
+    'interactive', 'lensingRadius', 'pickRadius', 'layers', 'parallax', 'shimmerSpeed', 'motionAmplitude',
+    'aberrationOffset', 'useWorker', 'renderer', 'resizeDelay', 'maxPixelRatio', 'filamentSegments',
+    'colorMap', 'quality', 'targetFps', 'colors', 'cacheLayers'
+]);
+
+// === GEOMETRY ===
+// Pure functions of the structure's coordinates, shared by CosmicWeb, the WebGL renderer and tests.
+// A filament is a cubic Bézier { p0, p1, p2, p3 }; an origin is { x, y, radius }.
+function bezierPoint(f, t) {
+    const inv = 1 - t;
+    return {
+        x: inv * inv * inv * f.p0.x + 3 * inv * inv * t * f.p1.x +
+           3 * inv * t * t * f.p2.x + t * t * t * f.p3.x,
+        y: inv * inv * inv * f.p0.y + 3 * inv * inv * t * f.p1.y +
+           3 * inv * t * t * f.p2.y + t * t * t * f.p3.y
+    };
+}
+
+function bezierTangent(f, t) {
+    const inv = 1 - t;
+    return {
+        dx: 3 * inv * inv * (f.p1.x - f.p0.x) + 6 * inv * t * (f.p2.x - f.p1.x) +
+            3 * t * t * (f.p3.x - f.p2.x),
+        dy: 3 * inv * inv * (f.p1.y - f.p0.y) + 6 * inv * t * (f.p2.y - f.p1.y) +
+            3 * t * t * (f.p3.y - f.p2.y)
+    };
+}
+
+// Outside the origin point and inside the wedge of config.wedgeAngle starting at config.wedgeRotation
+function inWedge(x, y, origin, config) {
+    if (!origin) return false;
+    const dx = x - origin.x;
+    const dy = y - origin.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist <= origin.radius * 1.1) return false; // Inside origin point
+    if (config.wedgeAngle >= Math.PI * 2) return true; // Full circle: all angles allowed
+
+    // Angle measured from the wedge's starting edge, in [0, 2π)
+    const twoPi = Math.PI * 2;
+    const angle = ((Math.atan2(dy, dx) - config.wedgeRotation) % twoPi + twoPi) % twoPi;
+    return angle <= config.wedgeAngle;
+}
+
+// Galaxy scatter (1σ, px) across a filament at parameter t: the cone widens away from the origin
+function coneWidth(t, [minWidth, maxWidth]) {
+    return minWidth + (maxWidth - minWidth) * Math.pow(t, 1.2);
+}
+
+// Voronoi diagram of [{ x, y }] cell centres via their Delaunay triangulation (Bowyer–Watson):
+// one vertex per triangle at its circumcentre, and an edge between every two triangles sharing a
+// side. Edges that would run to infinity on the hull are left out.
+function voronoiSkeleton(points) {
+    const n = points.length;
+    if (n < 3) return { vertices: [], edges: [] };
+
+    const triangle = (a, b, c) => {
+        const [pa, pb, pc] = [vertices[a], vertices[b], vertices[c]];
+        const d = 2 * (pa.x * (pb.y - pc.y) + pb.x * (pc.y - pa.y) + pc.x * (pa.y - pb.y));
+        const sa = pa.x * pa.x + pa.y * pa.y;
+        const sb = pb.x * pb.x + pb.y * pb.y;
+        const sc = pc.x * pc.x + pc.y * pc.y;
+        const x = (sa * (pb.y - pc.y) + sb * (pc.y - pa.y) + sc * (pa.y - pb.y)) / d;
+        const y = (sa * (pc.x - pb.x) + sb * (pa.x - pc.x) + sc * (pb.x - pa.x)) / d;
+        return { a, b, c, x, y, r2: (pa.x - x) ** 2 + (pa.y - y) ** 2 };
+    };
+
+    // Start from a triangle far larger than the points, removed again at the end
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) || 1;
+    const midX = (Math.max(...xs) + Math.min(...xs)) / 2;
+    const midY = (Math.max(...ys) + Math.min(...ys)) / 2;
+    const vertices = points.concat([
+        { x: midX - 20 * span, y: midY - span },
+        { x: midX, y: midY + 20 * span },
+        { x: midX + 20 * span, y: midY - span }
+    ]);
+    let triangles = [triangle(n, n + 1, n + 2)];
+
+    for (let i = 0; i < n; i++) {
+        const p = vertices[i];
+        const bad = triangles.filter((t) => (p.x - t.x) ** 2 + (p.y - t.y) ** 2 < t.r2);
+
+        // Sides of the cavity: sides of removed triangles that no other removed triangle shares
+        const sides = [];
+        for (const t of bad) {
+            for (const [a, b] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
+                const shared = sides.findIndex(([x, y]) => (x === a && y === b) || (x === b && y === a));
+                if (shared === -1) sides.push([a, b]);
+                else sides.splice(shared, 1);
+            }
+        }
+        triangles = triangles.filter((t) => !bad.includes(t)).concat(sides.map(([a, b]) => triangle(a, b, i)));
+    }
+    triangles = triangles.filter((t) => t.a < n && t.b < n && t.c < n);
+
+    const edges = [];
+    const bySide = new Map();
+    triangles.forEach((t, index) => {
+        for (const [a, b] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
+            const key = Math.min(a, b) * n + Math.max(a, b);
+            if (bySide.has(key)) edges.push([bySide.get(key), index]);
+            else bySide.set(key, index);
+        }
+    });
+    return { vertices: triangles.map((t) => ({ x: t.x, y: t.y })), edges };
+}
+
+// Offscreen bitmap for caches and snapshots: an OffscreenCanvas where there is one (always in the
+// worker), otherwise a detached <canvas>
+function createCanvas(width, height) {
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Uniform grid of item indices by structure position, for culling and pointer queries.
+// CosmicWeb keeps one per parallax layer, since each layer moves with its own transform.
+class SpatialGrid {
+    constructor(cellSize = 128) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Packed cell coordinates -> { cx, cy, indices }
+    }
+
+    insert(index, x, y) {
+        const cx = Math.floor(x / this.cellSize);
+        const cy = Math.floor(y / this.cellSize);
+        const key = (cy + 32768) * 65536 + (cx + 32768);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { cx, cy, indices: [] };
+            this.cells.set(key, cell);
+        }
+        cell.indices.push(index);
+    }
+
+    // Indices in every cell overlapping the rectangle: a superset of the items inside it
+    query(left, top, right, bottom, out = []) {
+        const x0 = Math.floor(left / this.cellSize);
+        const y0 = Math.floor(top / this.cellSize);
+        const x1 = Math.floor(right / this.cellSize);
+        const y1 = Math.floor(bottom / this.cellSize);
+
+        // Rectangles larger than the occupied area (zoomed far out) walk the cells instead
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > this.cells.size) {
+            for (const cell of this.cells.values()) {
+                if (cell.cx >= x0 && cell.cx <= x1 && cell.cy >= y0 && cell.cy <= y1) {
+                    for (const index of cell.indices) out.push(index);
+                }
+            }
+            return out;
+        }
+
+        for (let cy = y0; cy <= y1; cy++) {
+            for (let cx = x0; cx <= x1; cx++) {
+                const cell = this.cells.get((cy + 32768) * 65536 + (cx + 32768));
+                if (!cell) continue;
+                for (const index of cell.indices) out.push(index);
+            }
+        }
+        return out;
+    }
+}
+
+// === WEBGL POINT-SPRITE RENDERER ===
+// Galaxies are uploaded once per generated structure; shimmer, drift and redshift
+// coloring run in the shaders. Filaments and the Big Bang glow are static geometry.
+const GALAXY_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    attribute float a_baseSize;
+    attribute float a_phase;
+    attribute float a_colorIndex;
+    attribute float a_depth;
+    attribute float a_fade;
+
+    uniform vec2 u_resolution;
+    uniform float u_pixelRatio;
+    uniform vec2 u_offset;
+    uniform vec2 u_zoomOrigin;
+    uniform float u_zoom;
+    uniform float u_growth;
+    uniform float u_parallax;
+    uniform float u_time;
+    uniform float u_shimmerSpeed;
+    uniform float u_motionAmplitude;
+    uniform vec2 u_lens;
+    uniform float u_lensStrength;
+    uniform float u_einsteinRadius;
+    uniform vec2 u_brightness;
+    uniform float u_opacity;
+
+    varying float v_alpha;
+    varying float v_redShift;
+
+    void main() {
+        // Same layer transform as CosmicWeb.layerTransform()
+        float weight = mix(1.0, a_depth, u_parallax);
+        float scale = 1.0 + u_zoom * weight;
+        vec2 pos = u_zoomOrigin + (a_position - u_zoomOrigin) * scale * u_growth + u_offset * weight;
+
+        // Same terms as galaxyAlpha()
+        float depthBrightness = a_depth == 1.0 ? u_brightness.x : u_brightness.y;
+        float shimmer = 0.7 + 0.3 * sin(u_time * u_shimmerSpeed + a_phase);
+        float drift = u_time * 0.001 + a_phase;
+
+        v_alpha = min(1.0, shimmer * a_fade * depthBrightness) * u_opacity;
+        v_redShift = a_colorIndex / 255.0;
+
+        pos += u_motionAmplitude * vec2(sin(drift), cos(drift));
+
+        // Point-lens primary image around the pointer, tapered to zero at the lens reach
+        vec2 fromLens = pos - u_lens;
+        float beta = length(fromLens);
+        float reach = u_einsteinRadius * 6.0;
+        if (u_lensStrength > 0.0 && beta > 0.0 && beta < reach) {
+            float theta = (beta + sqrt(beta * beta + 4.0 * u_einsteinRadius * u_einsteinRadius)) / 2.0;
+            float taper = pow(1.0 - (beta / reach) * (beta / reach), 2.0);
+            pos = u_lens + fromLens * (1.0 + (theta / beta - 1.0) * taper * u_lensStrength);
+        }
+
+        vec2 clip = pos / u_resolution * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+        gl_PointSize = max(1.0, 2.0 * a_baseSize * scale * shimmer * u_pixelRatio);
+    }
+`;
+
+const GALAXY_FRAGMENT_SHADER = `
+    precision mediump float;
+
+    uniform sampler2D u_colorMap;
+
+    varying float v_alpha;
+    varying float v_redShift;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        if (d > 0.5) discard;
+
+        // Centre of the LUT texel for this redshift
+        vec3 color = texture2D(u_colorMap, vec2((v_redShift * 255.0 + 0.5) / 256.0, 0.5)).rgb;
+        float alpha = v_alpha * (1.0 - smoothstep(0.4, 0.5, d));
+        gl_FragColor = vec4(color * alpha, alpha);
+    }
+`;
+
+const FILAMENT_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    attribute float a_alpha;
+    attribute float a_background;
+    attribute float a_depth;
+
+    uniform vec2 u_resolution;
+    uniform vec2 u_offset;
+    uniform vec2 u_zoomOrigin;
+    uniform float u_zoom;
+    uniform float u_growth;
+    uniform float u_parallax;
+    uniform vec2 u_baseAlpha;
+
+    varying float v_alpha;
+
+    void main() {
+        v_alpha = a_alpha * mix(u_baseAlpha.x, u_baseAlpha.y, a_background);
+        float weight = mix(1.0, a_depth, u_parallax);
+        float scale = 1.0 + u_zoom * weight;
+        vec2 pos = u_zoomOrigin + (a_position - u_zoomOrigin) * scale * u_growth + u_offset * weight;
+        vec2 clip = pos / u_resolution * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    }
+`;
+
+const FILAMENT_FRAGMENT_SHADER = `
+    precision mediump float;
+
+    uniform vec3 u_color;
+
+    varying float v_alpha;
+
+    void main() {
+        gl_FragColor = vec4(u_color * v_alpha, v_alpha);
+    }
+`;
+
+const GLOW_VERTEX_SHADER = `
+    attribute vec2 a_corner;
+
+    uniform vec2 u_resolution;
+    uniform vec2 u_center;
+    uniform float u_radius;
+
+    varying vec2 v_offset;
+
+    void main() {
+        v_offset = a_corner * u_radius;
+        vec2 clip = (u_center + v_offset) / u_resolution * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    }
+`;
+
+// Reproduces the stacked radial gradients of CosmicWeb.drawBigBangPoint()
+const GLOW_FRAGMENT_SHADER = `
+    precision mediump float;
+
+    uniform vec3 u_core;
+    uniform vec3 u_mid;
+    uniform vec3 u_outer;
+    uniform float u_opacity;
+
+    varying vec2 v_offset;
+
+    vec4 layer(float d, float radius, float alpha) {
+        if (d > radius) return vec4(0.0);
+        float t = d / radius;
+        vec4 c = t < 0.4
+            ? mix(vec4(u_core, alpha), vec4(u_mid, alpha * 0.6), t / 0.4)
+            : mix(vec4(u_mid, alpha * 0.6), vec4(u_outer, 0.0), (t - 0.4) / 0.6);
+        return vec4(c.rgb * c.a, c.a);
+    }
+
+    vec4 over(vec4 dst, vec4 src) {
+        return src + dst * (1.0 - src.a);
+    }
+
+    void main() {
+        float d = length(v_offset);
+        vec4 color = layer(d, 40.0, 0.15);
+        color = over(color, layer(d, 25.0, 0.3));
+        color = over(color, layer(d, 15.0, 0.5));
+        color = over(color, layer(d, 8.0, 0.8));
+        color = over(color, layer(d, 3.0, 1.0));
+        gl_FragColor = color * u_opacity; // Premultiplied, so this fades the whole glow
+    }
+`;
+
+class CosmicWebGLRenderer {
+    // Returns null when no WebGL context can be created so the caller can fall back to 2D
+    static create(canvas) {
+        let gl = null;
+        try {
+            gl = canvas.getContext('webgl', { premultipliedAlpha: true, antialias: true });
+        } catch (error) {
+            gl = null;
+        }
+        if (!gl) return null;
+
+        try {
+            return new CosmicWebGLRenderer(canvas, gl);
+        } catch (error) {
+            console.warn('WebGL cosmic web renderer unavailable, using Canvas 2D:', error);
+            return null;
+        }
+    }
+
+    constructor(canvas, gl) {
+        this.canvas = canvas;
+        this.gl = gl;
+        this.contextLost = false;
+        this.web = null;
+
+        this.onContextLost = (e) => {
+            e.preventDefault();
+            this.contextLost = true;
+        };
+        this.onContextRestored = () => {
+            this.contextLost = false;
+            this.setupGL();
+            this.colorMapKey = null;
+            if (this.web) this.upload(this.web);
+        };
+        canvas.addEventListener('webglcontextlost', this.onContextLost);
+        canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+
+        this.setupGL();
+    }
+
+    setupGL() {
+        const gl = this.gl;
+
+        this.galaxyProgram = this.createProgram(GALAXY_VERTEX_SHADER, GALAXY_FRAGMENT_SHADER);
+        this.filamentProgram = this.createProgram(FILAMENT_VERTEX_SHADER, FILAMENT_FRAGMENT_SHADER);
+        this.glowProgram = this.createProgram(GLOW_VERTEX_SHADER, GLOW_FRAGMENT_SHADER);
+
+        this.galaxyBuffer = gl.createBuffer();
+        this.filamentBuffer = gl.createBuffer();
+        this.glowBuffer = gl.createBuffer();
+        this.colorMapTexture = gl.createTexture();
+        this.colorMapKey = null;
+        this.filamentVertexCount = 0;
+
+        // Two triangles covering the glow's bounding square
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.glowBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1, -1, 1, -1, -1, 1,
+            -1, 1, 1, -1, 1, 1
+        ]), gl.STATIC_DRAW);
+
+        // Everything is drawn with premultiplied alpha, the canvas composites the same way
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(gl.getShaderInfoLog(shader));
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+
+        // Cache attribute and uniform locations by name
+        const attributes = {};
+        const uniforms = {};
+        const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < attributeCount; i++) {
+            const name = gl.getActiveAttrib(program, i).name;
+            attributes[name] = gl.getAttribLocation(program, name);
+        }
+        const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < uniformCount; i++) {
+            const name = gl.getActiveUniform(program, i).name;
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+
+        return { program, attributes, uniforms };
+    }
+
+    // Point the program's attributes at an interleaved float buffer
+    bindAttributes(program, buffer, layout) {
+        const gl = this.gl;
+        const stride = layout.reduce((sum, [, size]) => sum + size, 0) * 4;
+        let offset = 0;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        for (const [name, size] of layout) {
+            const location = program.attributes[name];
+            if (location !== undefined && location !== -1) {
+                gl.enableVertexAttribArray(location);
+                gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+            }
+            offset += size * 4;
+        }
+    }
+
+    // Upload the static galaxy and filament geometry of a freshly generated structure
+    upload(web) {
+        const gl = this.gl;
+        this.web = web;
+        if (this.contextLost) return;
+
+        const galaxyData = new Float32Array(web.galaxies.length * 7);
+        web.galaxies.forEach((g, i) => {
+            galaxyData.set([g.x, g.y, g.baseSize, g.phase, g.colorIndex, g.filamentDepth || 1.0, g.fade], i * 7);
+        });
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.galaxyBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, galaxyData, gl.STATIC_DRAW);
+
+        // Each filament segment becomes a quad of its stroke width
+        const segments = web.filamentSegmentCount();
+        const vertices = [];
+        for (const f of web.filaments) {
+            const depth = f.depth || 1.0;
+            const alpha = f.fade * depth;
+            const background = f.type === 'background' ? 1 : 0;
+
+            for (let i = 0; i < segments; i++) {
+                const pos1 = bezierPoint(f, i / segments);
+                const pos2 = bezierPoint(f, (i + 1) / segments);
+                const dx = pos2.x - pos1.x;
+                const dy = pos2.y - pos1.y;
+                const len = Math.sqrt(dx * dx + dy * dy) || 1;
+                const halfWidth = web.filamentWidth(f, i / segments) / 2;
+                const nx = -dy / len * halfWidth;
+                const ny = dx / len * halfWidth;
+
+                const a = [pos1.x + nx, pos1.y + ny, alpha, background, depth];
+                const b = [pos1.x - nx, pos1.y - ny, alpha, background, depth];
+                const c = [pos2.x + nx, pos2.y + ny, alpha, background, depth];
+                const d = [pos2.x - nx, pos2.y - ny, alpha, background, depth];
+                vertices.push(...a, ...b, ...c, ...c, ...b, ...d);
+            }
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.filamentBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+        this.filamentVertexCount = vertices.length / 5;
+    }
+
+    render(web) {
+        const gl = this.gl;
+        if (this.contextLost) return;
+
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        if (!web.portraitCenter || !web.initialPortraitCenter) return;
+
+        // Geometry is in CSS pixels; the viewport covers the device-pixel backing store
+        web.updateViewTransform();
+        const zoomOrigin = web.initialPortraitCenter;
+        const parallax = web.config.parallax.enabled ? 1 : 0;
+
+        const colors = web.getThemeColors();
+        const unitColor = (prefix) => parseColor(prefix).slice(0, 3).map((c) => c / 255); // [r, g, b] in 0..1
+
+        // Filaments
+        const filament = this.filamentProgram;
+        gl.useProgram(filament.program);
+        this.bindAttributes(filament, this.filamentBuffer, [
+            ['a_position', 2], ['a_alpha', 1], ['a_background', 1], ['a_depth', 1]
+        ]);
+        gl.uniform2f(filament.uniforms.u_resolution, web.viewport.width, web.viewport.height);
+        gl.uniform2f(filament.uniforms.u_offset, web.offsetX, web.offsetY);
+        gl.uniform2f(filament.uniforms.u_zoomOrigin, zoomOrigin.x, zoomOrigin.y);
+        gl.uniform1f(filament.uniforms.u_zoom, web.zoom);
+        gl.uniform1f(filament.uniforms.u_growth, web.growth);
+        gl.uniform1f(filament.uniforms.u_parallax, parallax);
+        gl.uniform2f(filament.uniforms.u_baseAlpha, web.filamentBaseAlpha('major'), web.filamentBaseAlpha('background'));
+        gl.uniform3fv(filament.uniforms.u_color, unitColor(colors.filament));
+        gl.drawArrays(gl.TRIANGLES, 0, this.filamentVertexCount);
+
+        // Galaxies
+        const galaxy = this.galaxyProgram;
+        gl.useProgram(galaxy.program);
+        this.bindAttributes(galaxy, this.galaxyBuffer, [
+            ['a_position', 2], ['a_baseSize', 1], ['a_phase', 1], ['a_colorIndex', 1], ['a_depth', 1], ['a_fade', 1]
+        ]);
+        this.bindColorMap(web);
+        gl.uniform1i(galaxy.uniforms.u_colorMap, 0);
+        gl.uniform2f(galaxy.uniforms.u_resolution, web.viewport.width, web.viewport.height);
+        gl.uniform1f(galaxy.uniforms.u_pixelRatio, web.pixelRatio);
+        gl.uniform2f(galaxy.uniforms.u_offset, web.offsetX, web.offsetY);
+        gl.uniform2f(galaxy.uniforms.u_zoomOrigin, zoomOrigin.x, zoomOrigin.y);
+        gl.uniform1f(galaxy.uniforms.u_zoom, web.zoom);
+        gl.uniform1f(galaxy.uniforms.u_growth, web.growth);
+        gl.uniform1f(galaxy.uniforms.u_parallax, parallax);
+        gl.uniform1f(galaxy.uniforms.u_time, web.time);
+        gl.uniform1f(galaxy.uniforms.u_shimmerSpeed, web.config.shimmerSpeed);
+        gl.uniform1f(galaxy.uniforms.u_motionAmplitude, web.config.motionAmplitude);
+        gl.uniform2f(galaxy.uniforms.u_brightness, colors.foregroundBrightness, colors.backgroundBrightness);
+        gl.uniform1f(galaxy.uniforms.u_opacity, colors.galaxyOpacity);
+        gl.uniform2f(galaxy.uniforms.u_lens, web.pointer.x, web.pointer.y);
+        gl.uniform1f(galaxy.uniforms.u_lensStrength, web.pointer.strength);
+        gl.uniform1f(galaxy.uniforms.u_einsteinRadius, web.config.lensingRadius);
+        gl.drawArrays(gl.POINTS, 0, web.visibleGalaxyCount());
+
+        // Bright central point (Big Bang) for non-portrait pages
+        if (!web.portraitCenter.isPortraitOrigin) {
+            const glow = this.glowProgram;
+            gl.useProgram(glow.program);
+            this.bindAttributes(glow, this.glowBuffer, [['a_corner', 2]]);
+            gl.uniform2f(glow.uniforms.u_resolution, web.viewport.width, web.viewport.height);
+            gl.uniform2f(glow.uniforms.u_center, zoomOrigin.x + web.offsetX, zoomOrigin.y + web.offsetY);
+            gl.uniform1f(glow.uniforms.u_radius, 40 * web.originPulse());
+            gl.uniform3fv(glow.uniforms.u_core, unitColor(colors.bigBang.core));
+            gl.uniform3fv(glow.uniforms.u_mid, unitColor(colors.bigBang.mid));
+            gl.uniform3fv(glow.uniforms.u_outer, unitColor(colors.bigBang.outer));
+            gl.uniform1f(glow.uniforms.u_opacity, colors.glowOpacity);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+        }
+    }
+
+    // Re-upload the color map texture only when the map or palette changes
+    bindColorMap(web) {
+        const gl = this.gl;
+        const key = web.colorMapLUT; // Rebuilt whenever the map or palette changes
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.colorMapTexture);
+        if (key === this.colorMapKey) return;
+
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, web.colorMapLUT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this.colorMapKey = key;
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+        const loseContext = this.gl.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
+    }
+}
+
+// === 2dF-STYLE COSMIC WEB FIXED TO PORTRAIT ===
+// Multi-scale filamentary structure like real observations
+class CosmicWeb {
+    // The configuration before any preset or option is applied
+    static defaultConfig() {
+        return {
+            generator: 'radial', // 'radial' straight filaments from the origin | 'skeleton' Voronoi web
+            skeleton: {
+                cells: 40, // Voronoi cells (voids) across the structure; their edges become filaments
+                curvature: 0.12, // Sideways bend of a filament's control points, per unit of its length
+                originLinks: 5 // Filaments joining the origin to its nearest nodes
+            },
+            majorFilaments: 10, // Reduced from 15
+            intermediateFilaments: 0, // Removed
+            minorFilaments: 0, // Removed
+            backgroundFilaments: 5, // Faint filaments between the major ones
+            backgroundDepth: 0.15, // Brightness and parallax depth of the background filaments
+            backgroundLength: 0.85, // Fraction of maxRadius the background filaments reach
+            pointsPerFilament: 1200,
+            maxRadius: 2000, // Pixel extent of the structure, spans across the page
+            coneWidth: [5, 120], // Galaxy scatter (px, 1σ) across a filament at the origin and at the edge
+            aberration: {
+                direction: Math.PI + Math.PI / 3, // Filaments lean towards down-left
+                skew: -0.4 // Radians of lean for filaments pointing away from that direction
+            },
+            wedgeAngle: Math.PI * 2, // Full 360 degrees around portrait
+            wedgeRotation: 0, // Direction (radians, canvas coordinates) where the wedge starts
+            catalogue: null, // URL of a local RA/Dec/z catalogue (CSV or JSON) to draw instead of the procedural web
+            catalogueRaRange: [0, 360], // Degrees of RA spread across wedgeAngle
+            catalogueDecRange: [-90, 90], // Declination slice to keep, like a 2dF strip
+            interactive: true, // Pointer lensing and click-to-inspect galaxies
+            lensingRadius: 45, // Einstein radius of the pointer lens, in pixels
+            pickRadius: 12, // How close (px) a click must land to a galaxy; doubled for touch
+            // Optional layers (Canvas 2D renderer), each generated from its own seeded stream
+            // so switching them on or off never changes the filaments and galaxies
+            layers: {
+                clusters: false, // Member galaxies scattered around each cluster with an NFW profile
+                voids: false, // Underdense regions between the major filaments
+                nodes: false, // Clusters joined to their nearest neighbours
+                morphology: false // Spiral / elliptical sprites for the larger galaxies
+            },
+            voidCount: 8,
+            voidRadius: [120, 320],
+            nodeLinks: 2, // Connections made from each cluster
+            nodeLinkLength: 700, // Longest cluster-to-cluster connection, in pixels
+            clusterConcentration: 5, // NFW c = r_vir / r_s
+            intro: {
+                enabled: true, // Pages with the Big Bang point: the web streams out of it once per session
+                duration: 3500 // ms; any click, key, wheel or touch skips it
+            },
+            parallax: {
+                enabled: true, // Layers move in proportion to their depth while scrolling
+                scrollFactor: 0.15, // Pages without a portrait: foreground shift per scrolled pixel
+                zoomThrough: false, // Slowly fly into the web with scroll progress (also data-zoom-through)
+                zoomAmount: 0.6, // Extra scale of the foreground layer at the bottom of the page
+                longPageViewports: 3 // Zoom-through only applies to pages at least this many viewports tall
+            },
+            clusterCount: 35,
+            shimmerSpeed: 0.003,
+            motionAmplitude: 2,
+            aberrationOffset: 3, // Pixels to offset for chromatic aberration
+            seed: null, // null = pick a random seed once per page load
+            useWorker: true, // Render in cosmic-web-worker.js when OffscreenCanvas is available
+            resizeDelay: 150, // ms after the last resize event before the canvas follows
+            maxPixelRatio: 2, // Cap on devicePixelRatio so 3x phones don't quadruple the fill cost
+            renderer: 'canvas2d', // 'canvas2d' | 'webgl' (falls back to canvas2d without a WebGL context)
+            filamentSegments: 20,
+            cacheLayers: true, // Canvas 2D: filaments and the Big Bang glow are re-rendered only when the view changes
+            colorMap: 'classic', // 'classic' | 'viridis' | 'magma' | 'blackbody'
+            cosmology: {
+                H0: 70, // km/s/Mpc
+                omegaM: 0.3, // Flat ΛCDM, so Ω_Λ = 1 - Ω_m
+                edgeDistance: 1200 // Comoving Mpc at the structure's edge (2dF reaches z ~ 0.3)
+            },
+            quality: 'auto', // 'auto' adapts to targetFps, or pin one of 'low' | 'medium' | 'high' | 'ultra'
+            targetFps: 60,
+            colors: {
+                deepSpace: 'rgba(5, 8, 20, 1.0)',
+            }
+        };
+    }
+
+    // canvasId is a selector or the canvas itself. Pass { autoStart: false } to skip init(), so
+    // nothing touches the page until generate() or start() is called (tests, headless use).
+    constructor(canvasId, options = {}) {
+        // Inside the worker we are handed an OffscreenCanvas and the page drives the DOM side
+        this.isWorker = Boolean(options.offscreenCanvas);
+        if (this.isWorker) {
+            this.canvas = options.offscreenCanvas;
+        } else {
+            this.canvas = typeof canvasId === 'string' ? document.querySelector(canvasId) : canvasId;
+        }
+        this.ctx = null; // Created in start(), a transferred canvas must not get a context here
+        this.glRenderer = null;
+        this.worker = null;
+        this.workerReady = false; // Set once cosmic-web-worker.js has loaded and been handed the canvas
+        this.theme = 'dark';
+        this.palette = DEFAULT_PALETTE; // Theme colors, re-read from CSS on theme changes
+        
+        // Cosmic structures
+        this.filaments = [];
+        this.clusters = [];
+        this.galaxies = [];
+        this.voids = [];
+        this.skeletonCells = []; // Voronoi cell centres of the skeleton's major layer, its voids
+        this.nodeLinks = []; // { a, b } pairs of connected clusters
+        this.galaxyGrids = new Map(); // Parallax depth -> SpatialGrid of galaxy indices, see indexGalaxies()
+        this.origins = []; // Every point the web radiates from, see updateOrigins()
+        this.initialOrigins = [];
+        this.portraitCenter = null; // origins[0], drives scrolling, fading and the intro
+        this.initialPortraitCenter = null; // Store initial position for offset calculation
+        this.scroll = { y: 0, progress: 0, long: false }; // Mirrored into the worker with scroll messages
+        this.viewport = null; // CSS size the structure is currently laid out for
+        this.pixelRatio = 1; // Canvas pixels per CSS pixel
+        this.canvasOffset = { x: 0, y: 0 }; // Device-pixel shift of the drawing, centres exports
+        this.resizeTimer = null;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.zoom = 0;
+        this.growth = 1; // Expansion of the structure about its origin, below 1 only during the intro
+        this.intro = null; // { start, duration } while the intro plays
+        
+        // Animation
+        this.time = 0;
+        this.frameId = null;
+        this.pauseReasons = new Set(); // e.g. 'hidden', 'offscreen', or whatever pause() was given
+        this.reducedMotion = false; // Render a single static frame instead of looping
+
+        // Adaptive quality (see QUALITY_TIERS)
+        this.qualityIndex = QUALITY_TIERS.findIndex((tier) => tier.name === 'high');
+        this.qualityTier = 'high';
+        this.onQualityChange = null; // Called with the tier name whenever it changes
+        this.frameStats = { costs: [], intervals: [], lastFrameTime: null, cooldown: 0 };
+        this.frameCount = 0;
+        this.needsRedraw = true; // Set by view changes so skipped shimmer frames still redraw
+        this.listeners = [];
+
+        // Redshift coloring, rebuilt from config.cosmology / config.colorMap
+        this.redshiftTable = null;
+        this.edgeRedshift = 1;
+        this.colorMapLUT = null;
+        this.galaxyColors = []; // 'rgba(r, g, b, ' prefixes indexed like colorMapLUT
+
+        // Canvas 2D bitmaps, see drawCachedLayer() and galaxySprites()
+        this.layerCache = new Map(); // Layer name -> { canvas, key, x, y }
+        this.layerScales = new Map(); // Layer name -> scale it was last drawn at
+        this.glowSprite = null;
+        this.spriteAtlas = null; // { canvas, colors } glow disc per color map entry
+
+        // Pointer lens; strength eases between 0 and 1 as the pointer enters or leaves
+        this.pointer = { x: 0, y: 0, active: false, strength: 0 };
+        this.pointerDown = false;
+        this.tooltip = null;
+        this.tooltipTimer = null;
+        this.tuningPanel = null; // Created on first toggleTuningPanel()
+        this.statsCallbacks = []; // requestStats() callbacks waiting on the worker
+
+        // Survey catalogue (config.catalogue), see parseCatalogue()
+        this.catalogue = null;
+        this.catalogueStatus = 'none'; // 'none' | 'loading' | 'loaded' | 'failed'
+
+        // Seeded randomness (same seed -> same universe)
+        this.seed = null;
+        this.random = Math.random;
+        
+        // Parameters
+        this.config = CosmicWeb.defaultConfig();
+
+        // A preset (data-preset on the canvas wins over options.preset) overrides the defaults, and
+        // explicit constructor options override the preset. The worker is sent the resolved config instead.
+        const { offscreenCanvas, preset, autoStart = true, ...overrides } = options;
+        const dataset = (!this.isWorker && this.canvas && this.canvas.dataset) || {};
+        const presetName = dataset.preset || preset;
+        if (presetName) {
+            mergeConfig(this.config, resolvePreset(presetName));
+        }
+        mergeConfig(this.config, overrides);
+        this.configOverrides = mergeConfig({}, overrides); // Kept through setConfig({ preset })
+
+        if (!this.isWorker && autoStart) {
+            this.init();
+        }
+    }
+    
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.initialize());
+        } else {
+            this.initialize();
+        }
+    }
+
+    // Get theme-aware colors (cached, see readPalette)
+    getThemeColors() {
+        return this.palette;
+    }
+
+    // Read the --cosmic-* properties for a theme. The current theme comes straight from :root and
+    // is held to --cosmic-min-contrast against the page text; any other is read off a detached
+    // probe carrying that data-theme (used by exports, which have no text over them).
+    readPalette(theme = this.theme) {
+        const root = document.documentElement;
+        if ((root.getAttribute('data-theme') || 'dark') === theme) {
+            const style = getComputedStyle(root);
+            const overlay = document.body ? parseColor(getComputedStyle(document.body, '::before').backgroundColor) : null;
+            const canvasOpacity = parseFloat(getComputedStyle(this.canvas).opacity);
+            return enforceContrast(readThemePalette(style), {
+                background: style.getPropertyValue('--bg-primary'),
+                texts: ['--text-primary', '--text-secondary'].map((name) => style.getPropertyValue(name)),
+                canvasOpacity: Number.isFinite(canvasOpacity) ? canvasOpacity : 1,
+                overlay: overlay && overlay[3] > 0 ? overlay : null
+            });
+        }
+
+        const probe = document.createElement('div');
+        probe.setAttribute('data-theme', theme);
+        probe.hidden = true;
+        document.body.appendChild(probe);
+        const palette = readThemePalette(getComputedStyle(probe));
+        probe.remove();
+        return palette;
+    }
+
+    // Resolve the seed: URL ?seed= overrides data-seed on the canvas, which overrides config
+    resolveSeed() {
+        const params = new URLSearchParams(window.location.search);
+        const urlSeed = params.get('seed');
+        const attrSeed = this.canvas.dataset ? this.canvas.dataset.seed : undefined;
+
+        if (urlSeed !== null && urlSeed !== '') return urlSeed;
+        if (attrSeed !== undefined && attrSeed !== '') return attrSeed;
+        if (this.config.seed !== null && this.config.seed !== undefined) return this.config.seed;
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // data-catalogue on the canvas overrides config; made absolute so the worker resolves it the same
+    resolveCatalogue() {
+        const url = this.canvas.dataset.catalogue || this.config.catalogue;
+        this.config.catalogue = url ? new URL(url, document.baseURI).href : null;
+    }
+
+    // Restart the PRNG from the current seed
+    reseed() {
+        this.random = createSeededRandom(this.seed);
+    }
+
+    initialize() {
+        this.seed = this.resolveSeed();
+        this.resolveCatalogue();
+        if (this.canvas.dataset.catalogue) {
+            this.configOverrides.catalogue = this.config.catalogue;
+        }
+        if (this.canvas.dataset.zoomThrough !== undefined) {
+            this.config.parallax.zoomThrough = this.canvas.dataset.zoomThrough !== 'false';
+            mergeConfig(this.configOverrides, { parallax: { zoomThrough: this.config.parallax.zoomThrough } });
+        }
+        this.updateScrollState();
+        this.theme = document.documentElement.getAttribute('data-theme') || 'dark';
+        this.palette = this.readPalette();
+        this.updateOrigins();
+
+        const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.reducedMotion = Boolean(motionQuery && motionQuery.matches);
+        if (document.hidden) {
+            this.pauseReasons.add('hidden');
+        }
+
+        const playIntro = this.shouldPlayIntro();
+        if (playIntro) {
+            this.beginIntro();
+            for (const type of ['pointerdown', 'keydown', 'wheel', 'touchstart']) {
+                this.listen(window, type, () => this.skipIntro());
+            }
+        }
+
+        if (!this.startWorker()) {
+            this.start(window.innerWidth, window.innerHeight, this.origins, this.resolvePixelRatio());
+        }
+
+        // Dragging a window edge or rotating a phone fires many resizes; follow the last one
+        this.listen(window, 'resize', () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => {
+                this.resizeTimer = null;
+                this.resize();
+            }, this.config.resizeDelay);
+        });
+
+        this.listen(window, 'scroll', () => {
+            this.updateOrigins();
+            this.updateScrollState();
+            // Don't regenerate - just update position for offset drawing on portrait pages
+            // For non-portrait pages, keep center fixed and let the parallax follow the scroll
+            if (this.worker) {
+                this.worker.postMessage({ type: 'scroll', origins: this.origins, scroll: this.scroll });
+            } else {
+                this.refresh();
+            }
+            this.hideTooltip();
+        });
+
+        this.setupInteraction();
+
+        // Developer tuning panel: ?debug=cosmic opens it, Alt+Shift+C toggles it anywhere
+        if (new URLSearchParams(window.location.search).get('debug') === 'cosmic') {
+            this.toggleTuningPanel();
+        }
+        this.listen(document, 'keydown', (e) => {
+            if (!e.altKey || !e.shiftKey || e.code !== 'KeyC') return;
+            if (e.target.matches && e.target.matches('input, textarea, select')) return;
+            this.toggleTuningPanel();
+        });
+
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        });
+
+        if (motionQuery && motionQuery.addEventListener) {
+            this.listen(motionQuery, 'change', (e) => this.setReducedMotion(e.matches));
+        }
+
+        if ('IntersectionObserver' in window) {
+            this.visibilityObserver = new IntersectionObserver((entries) => {
+                const entry = entries[entries.length - 1];
+                if (entry.isIntersecting) {
+                    this.resume('offscreen');
+                } else {
+                    this.pause('offscreen');
+                }
+            });
+            this.visibilityObserver.observe(this.canvas);
+        }
+    }
+
+    // The canvas sits behind the content with pointer-events: none, so listen on the window.
+    // Handlers check config.interactive themselves, so setConfig() can switch it either way.
+    setupInteraction() {
+        this.listen(window, 'pointermove', (e) => {
+            // Touch only lenses while a finger is down, otherwise it would stick after a tap
+            if (e.pointerType === 'touch' && !this.pointerDown) return;
+            this.setPointer(e.clientX, e.clientY, true);
+        });
+        this.listen(window, 'pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            this.pointerDown = true;
+            this.setPointer(e.clientX, e.clientY, true);
+        });
+        const release = (e) => {
+            if (e.pointerType !== 'touch') return;
+            this.pointerDown = false;
+            this.setPointer(e.clientX, e.clientY, false);
+        };
+        this.listen(window, 'pointerup', release);
+        this.listen(window, 'pointercancel', release);
+        this.listen(document.documentElement, 'pointerleave', (e) => {
+            this.setPointer(e.clientX, e.clientY, false);
+        });
+
+        this.listen(document, 'click', (e) => this.handleClick(e));
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape') this.hideTooltip();
+        });
+    }
+
+    setPointer(x, y, active) {
+        if (!this.config.interactive && !this.pointer.active) return;
+        active = active && this.config.interactive;
+        this.pointer.x = x;
+        this.pointer.y = y;
+        this.pointer.active = active;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'pointer', x, y, active });
+            return;
+        }
+        if (this.frameId === null) {
+            // No loop to ease the lens in, so jump straight to it
+            this.pointer.strength = active ? 1 : 0;
+        }
+        this.refresh();
+    }
+
+    // Only clicks on empty background (not text, links or controls) inspect a galaxy
+    handleClick(e) {
+        this.hideTooltip();
+        if (!this.config.interactive) return;
+        if (!e.target.matches('html, body, main, section, .container, footer, #starfield')) return;
+
+        const radius = this.config.pickRadius * (e.pointerType === 'touch' ? 2 : 1);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'pick', x: e.clientX, y: e.clientY, radius });
+            return;
+        }
+        this.showTooltip(e.clientX, e.clientY, this.pickGalaxy(e.clientX, e.clientY, radius));
+    }
+
+    // Nearest drawn galaxy to a viewport point, as a plain object that can cross postMessage
+    pickGalaxy(x, y, radius) {
+        const best = this.nearestGalaxy(x, y, radius);
+        if (!best) return null;
+
+        const maxRadius = this.config.maxRadius;
+        return {
+            z: best.z,
+            distance: best.dist / maxRadius * this.config.cosmology.edgeDistance, // Comoving Mpc
+            source: this.catalogueStatus === 'loaded' ? 'catalogue' : 'simulated'
+        };
+    }
+
+    showTooltip(x, y, galaxy) {
+        this.hideTooltip();
+        if (!galaxy) return;
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'cosmic-tooltip';
+        tooltip.setAttribute('role', 'status');
+        tooltip.innerHTML = `
+            <strong>${galaxy.source === 'catalogue' ? 'Catalogue galaxy' : 'Simulated galaxy'}</strong>
+            <span>z = ${galaxy.z.toFixed(3)}</span>
+            <span>D<sub>C</sub> ≈ ${Math.round(galaxy.distance)} Mpc</span>
+        `;
+        tooltip.style.left = `${Math.min(x + 12, window.innerWidth - 180)}px`;
+        tooltip.style.top = `${Math.max(y - 12, 10)}px`;
+        document.body.appendChild(tooltip);
+
+        this.tooltip = tooltip;
+        this.tooltipTimer = setTimeout(() => this.hideTooltip(), 4000);
+    }
+
+    hideTooltip() {
+        clearTimeout(this.tooltipTimer);
+        if (this.tooltip && this.tooltip.parentNode) {
+            this.tooltip.parentNode.removeChild(this.tooltip);
+        }
+        this.tooltip = null;
+    }
+
+    // Once per browser session, never with reduced motion, and only from the Big Bang point
+    shouldPlayIntro() {
+        if (!this.config.intro.enabled || this.reducedMotion || this.portraitCenter.isPortraitOrigin) {
+            return false;
+        }
+        try {
+            if (sessionStorage.getItem('cosmicWebIntroPlayed')) return false;
+            sessionStorage.setItem('cosmicWebIntroPlayed', '1');
+        } catch (error) {
+            return false; // Storage blocked: don't replay the intro on every page
+        }
+        return true;
+    }
+
+    beginIntro() {
+        this.intro = { start: null, duration: this.config.intro.duration };
+        this.growth = 0;
+    }
+
+    skipIntro() {
+        if (!this.intro) return;
+        this.intro = null;
+        this.growth = 1;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'skipIntro' });
+        } else {
+            this.refresh();
+        }
+    }
+
+    toggleTuningPanel() {
+        if (!this.tuningPanel) {
+            this.tuningPanel = new CosmicWebTuningPanel(this);
+        }
+        this.tuningPanel.toggle();
+    }
+
+    // Frame rate, quality tier and animation time, answered by the worker when it does the drawing
+    requestStats(callback) {
+        if (this.worker) {
+            this.statsCallbacks.push(callback);
+            if (this.workerReady) {
+                this.worker.postMessage({ type: 'stats' }); // Otherwise initWorker() asks
+            }
+            return;
+        }
+        callback(this.stats());
+    }
+
+    stats() {
+        return { fps: this.frameStats.fps || 0, tier: this.qualityTier, time: this.time };
+    }
+
+    updateScrollState() {
+        const pageHeight = document.documentElement.scrollHeight;
+        const scrollable = pageHeight - window.innerHeight;
+        this.scroll = {
+            y: window.scrollY,
+            progress: scrollable > 0 ? Math.min(1, Math.max(0, window.scrollY / scrollable)) : 0,
+            long: pageHeight >= window.innerHeight * this.config.parallax.longPageViewports
+        };
+    }
+
+    // addEventListener that destroy() will undo
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    // Hand the canvas to cosmic-web-worker.js; returns false when we must render in-thread.
+    // The canvas is only transferred once the worker reports it has loaded: until then it can still
+    // fall back to 2D, so a worker script that fails to load just means drawing on the main thread.
+    startWorker() {
+        if (!this.config.useWorker ||
+            typeof Worker === 'undefined' ||
+            typeof this.canvas.transferControlToOffscreen !== 'function') {
+            return false;
+        }
+
+        // Create the worker before transferring: once transferred the canvas can't go back to 2D
+        let worker;
+        try {
+            worker = new Worker('cosmic-web-worker.js');
+        } catch (error) {
+            console.warn('Cosmic web worker unavailable, rendering on the main thread:', error);
+            return false;
+        }
+
+        worker.addEventListener('error', (e) => {
+            if (this.workerReady) {
+                console.error('Cosmic web worker error:', e.message);
+                return;
+            }
+            console.warn('Cosmic web worker failed to load, rendering on the main thread:', e.message);
+            worker.terminate();
+            this.worker = null;
+            this.start(window.innerWidth, window.innerHeight, this.origins, this.resolvePixelRatio());
+            this.statsCallbacks.splice(0).forEach((callback) => callback(this.stats()));
+        });
+        worker.addEventListener('message', (e) => {
+            if (e.data.type === 'ready') {
+                this.initWorker();
+            } else if (e.data.type === 'quality') {
+                this.qualityTier = e.data.tier;
+                this.notifyQualityChange();
+            } else if (e.data.type === 'picked') {
+                this.showTooltip(e.data.x, e.data.y, e.data.galaxy);
+            } else if (e.data.type === 'stats') {
+                this.statsCallbacks.splice(0).forEach((callback) => callback(e.data));
+            }
+        });
+
+        // Until it is ready the worker ignores everything else; init carries the state as of then
+        this.worker = worker;
+        this.mirrorViewport(window.innerWidth, window.innerHeight, this.origins, this.resolvePixelRatio());
+        return true;
+    }
+
+    initWorker() {
+        const offscreen = this.canvas.transferControlToOffscreen();
+        this.workerReady = true;
+        this.mirrorViewport(window.innerWidth, window.innerHeight, this.origins, this.resolvePixelRatio());
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            origins: this.origins,
+            pixelRatio: this.resolvePixelRatio(),
+            scroll: this.scroll,
+            seed: this.seed,
+            theme: this.theme,
+            palette: this.palette,
+            intro: Boolean(this.intro),
+            reducedMotion: this.reducedMotion,
+            pauseReasons: [...this.pauseReasons],
+            config: this.config
+        }, [offscreen]);
+        if (this.statsCallbacks.length > 0) {
+            this.worker.postMessage({ type: 'stats' });
+        }
+    }
+
+    // The worker lays the structure out; the page keeps the same viewport and origins for exportImage()
+    mirrorViewport(width, height, origins, pixelRatio) {
+        this.viewport = { width, height };
+        this.pixelRatio = pixelRatio;
+        this.initialOrigins = origins.map((origin) => ({ ...origin }));
+    }
+
+    // Create the drawing context, build the structure and start the loop (page or worker)
+    start(width, height, origins, pixelRatio = 1) {
+        if (this.config.quality !== 'auto') {
+            this.qualityIndex = Math.max(0, QUALITY_TIERS.findIndex((tier) => tier.name === this.config.quality));
+        }
+        this.qualityTier = QUALITY_TIERS[this.qualityIndex].name;
+
+        if (this.config.renderer === 'webgl') {
+            this.glRenderer = CosmicWebGLRenderer.create(this.canvas);
+        }
+        if (!this.glRenderer) {
+            this.ctx = this.canvas.getContext('2d');
+        }
+        if (this.config.catalogue) {
+            this.loadCatalogue(this.config.catalogue);
+        }
+        this.setViewport(width, height, origins, pixelRatio);
+        this.animate();
+        // That first frame has no rAF timestamp, so the next tick must not be timed against it
+        this.frameStats.lastFrameTime = null;
+    }
+
+    async loadCatalogue(url) {
+        this.catalogueStatus = 'loading';
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.catalogue = parseCatalogue(await response.text(), url);
+            this.catalogueStatus = 'loaded';
+        } catch (error) {
+            console.warn(`Could not load galaxy catalogue ${url}, using the procedural web:`, error);
+            this.catalogue = null;
+            this.catalogueStatus = 'failed';
+        }
+
+        if (this.initialPortraitCenter) {
+            this.rebuild();
+        }
+    }
+
+    resolvePixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.config.maxPixelRatio);
+    }
+
+    resize() {
+        this.updateOrigins();
+        this.updateScrollState();
+        const pixelRatio = this.resolvePixelRatio();
+        if (this.worker) {
+            this.worker.postMessage({
+                type: 'resize',
+                width: window.innerWidth,
+                height: window.innerHeight,
+                origins: this.origins,
+                pixelRatio,
+                scroll: this.scroll
+            });
+            this.mirrorViewport(window.innerWidth, window.innerHeight, this.origins, pixelRatio);
+            return;
+        }
+        this.setViewport(window.innerWidth, window.innerHeight, this.origins, pixelRatio);
+    }
+
+    // Size the backing store for the device and fit the structure to the new viewport.
+    // The web is only regenerated when the origin changes kind (portrait <-> bright point),
+    // or when there are several origins, which a single rescale can't follow through a reflow.
+    setViewport(width, height, origins, pixelRatio = this.pixelRatio) {
+        const previousOrigin = this.initialPortraitCenter;
+        const previousCount = this.initialOrigins.length;
+        const previousViewport = this.viewport;
+
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.viewport = { width, height };
+        this.setOrigins(origins);
+        this.initialOrigins = origins.map((origin) => ({ ...origin })); // Reset initial positions on resize
+        this.initialPortraitCenter = this.initialOrigins[0];
+
+        if (!previousOrigin || previousCount !== 1 || origins.length !== 1 ||
+            previousOrigin.isPortraitOrigin !== this.portraitCenter.isPortraitOrigin) {
+            this.rebuild();
+            return;
+        }
+
+        const scale = Math.hypot(width, height) / Math.hypot(previousViewport.width, previousViewport.height);
+        this.rescaleStructure(previousOrigin, this.initialPortraitCenter, scale);
+        if (this.glRenderer) {
+            this.glRenderer.upload(this);
+        }
+        this.refresh();
+    }
+
+    // Move the existing structure onto a new origin, scaled by the change in viewport diagonal
+    // (so rotating a phone only translates it). Filament widths and galaxy sizes stay in CSS px.
+    rescaleStructure(from, to, scale) {
+        const move = (p) => {
+            p.x = to.x + (p.x - from.x) * scale;
+            p.y = to.y + (p.y - from.y) * scale;
+        };
+
+        for (const f of this.filaments) {
+            move(f.p0);
+            move(f.p1);
+            move(f.p2);
+            move(f.p3);
+        }
+        for (const g of this.galaxies) {
+            move(g); // dist keeps the generation-time value that z was derived from
+        }
+        this.indexGalaxies();
+        this.invalidateLayers();
+        for (const c of this.clusters) {
+            move(c);
+            for (const m of c.members || []) {
+                m.dx *= scale;
+                m.dy *= scale;
+            }
+        }
+        for (const v of this.voids) {
+            move(v);
+            v.radius *= scale;
+        }
+    }
+
+    // Lay the structure out for a CSS viewport and origins without sizing the canvas, drawing or
+    // animating. The seed is config.seed unless one was already resolved.
+    generate(width, height, origins) {
+        if (this.seed === null) {
+            this.seed = this.config.seed !== null ? this.config.seed : Math.floor(Math.random() * 4294967296);
+        }
+        this.viewport = { width, height };
+        this.setOrigins(origins);
+        this.initialOrigins = origins.map((origin) => ({ ...origin }));
+        this.initialPortraitCenter = this.initialOrigins[0];
+        this.generateCosmicStructure();
+    }
+
+    setOrigins(origins) {
+        this.origins = origins;
+        this.portraitCenter = origins[0];
+    }
+
+    // Regenerate the structure and push it to whichever backend draws it
+    rebuild() {
+        this.generateCosmicStructure();
+        if (this.glRenderer) {
+            this.glRenderer.upload(this);
+        }
+        this.refresh();
+    }
+
+    // Apply part of the config while running. Drawing-only keys (VIEW_CONFIG_KEYS) just redraw;
+    // anything else regenerates the structure from the same seed. renderer and useWorker only
+    // take effect in the constructor, maxPixelRatio on the next resize. A preset replaces the whole
+    // config with defaults + preset + constructor options, so nothing of the previous one remains.
+    setConfig(partial) {
+        if (partial.preset) {
+            const { preset, ...rest } = partial;
+            const config = mergeConfig(mergeConfig(CosmicWeb.defaultConfig(), resolvePreset(preset)), this.configOverrides);
+            partial = mergeConfig(config, rest);
+        }
+        if (partial.catalogue && !this.isWorker) {
+            partial = { ...partial, catalogue: new URL(partial.catalogue, document.baseURI).href };
+        }
+        const previousCatalogue = this.config.catalogue;
+        mergeConfig(this.config, partial);
+        if ('seed' in partial && partial.seed !== null) {
+            this.seed = partial.seed; // Also on the page in worker mode, where exportImage() reads it
+        }
+        if (partial.interactive === false && !this.isWorker) {
+            // Release a lens or tooltip left over from before it was switched off
+            this.hideTooltip();
+            this.setPointer(this.pointer.x, this.pointer.y, false);
+        }
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'config', config: partial });
+            return;
+        }
+        if (!this.initialPortraitCenter) return; // Not started yet, start() picks everything up
+
+        this.invalidateLayers();
+        if ('quality' in partial) {
+            const pinned = QUALITY_TIERS.findIndex((tier) => tier.name === partial.quality);
+            if (pinned !== -1) this.setQualityIndex(pinned);
+        }
+        if ('colorMap' in partial) {
+            this.updateColorMap();
+        }
+
+        if ('catalogue' in partial && partial.catalogue !== previousCatalogue) {
+            if (partial.catalogue) {
+                this.loadCatalogue(partial.catalogue); // Rebuilds once loaded
+                this.rebuild();
+                return;
+            }
+            this.catalogue = null;
+            this.catalogueStatus = 'none';
+        }
+        if (Object.keys(partial).some((key) => !VIEW_CONFIG_KEYS.has(key))) {
+            this.rebuild();
+        } else {
+            if (this.glRenderer && 'filamentSegments' in partial) {
+                this.glRenderer.upload(this);
+            }
+            this.refresh();
+        }
+    }
+
+    // On the page the palette is read from CSS (data-theme must already be set); the worker is
+    // handed the page's palette
+    setTheme(theme, palette = this.isWorker ? this.palette : this.readPalette(theme)) {
+        this.theme = theme;
+        this.palette = palette;
+        this.updateColorMap();
+        if (this.worker) {
+            this.worker.postMessage({ type: 'theme', theme, palette });
+        } else {
+            // Redraw immediately with the new theme colors
+            this.refresh();
+        }
+    }
+
+    // Stop the animation loop; it only restarts once every reason has been resumed
+    pause(reason = 'api') {
+        this.pauseReasons.add(reason);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'pause', reason });
+            return;
+        }
+        this.updateLoop();
+    }
+
+    resume(reason = 'api') {
+        this.pauseReasons.delete(reason);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'resume', reason });
+            return;
+        }
+        this.updateLoop();
+    }
+
+    setReducedMotion(reducedMotion) {
+        this.reducedMotion = reducedMotion;
+        if (reducedMotion) {
+            this.skipIntro(); // The loop stops, so the web must not be left half grown
+        }
+        if (this.worker) {
+            this.worker.postMessage({ type: 'reducedMotion', reducedMotion });
+            return;
+        }
+        this.updateLoop();
+        this.refresh();
+    }
+
+    isRunning() {
+        return this.pauseReasons.size === 0 && !this.reducedMotion;
+    }
+
+    // Start or stop the frame loop to match isRunning()
+    updateLoop() {
+        if (!this.ctx && !this.glRenderer) return; // Not started yet, start() will animate
+
+        if (this.isRunning()) {
+            if (this.frameId === null) {
+                this.frameStats.lastFrameTime = null; // Don't count the pause as a slow frame
+                this.frameId = requestFrame((t) => this.animate(t));
+            }
+        } else if (this.frameId !== null) {
+            cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    // Redraw once when the loop isn't running (static frame, paused, or before start)
+    refresh() {
+        this.needsRedraw = true;
+        if (this.frameId === null && (this.ctx || this.glRenderer)) {
+            this.draw();
+        }
+    }
+
+    // Scroll offset of the foreground layer and zoom-through amount for this frame
+    updateViewTransform() {
+        const parallax = this.config.parallax;
+        if (this.portraitCenter.isPortraitOrigin || !parallax.enabled) {
+            // Follow the portrait as it scrolls with the page
+            this.offsetX = this.portraitCenter.x - this.initialPortraitCenter.x;
+            this.offsetY = this.portraitCenter.y - this.initialPortraitCenter.y;
+        } else {
+            this.offsetX = 0;
+            this.offsetY = -this.scroll.y * parallax.scrollFactor;
+        }
+        this.zoom = parallax.enabled && parallax.zoomThrough && this.scroll.long
+            ? this.scroll.progress * parallax.zoomAmount
+            : 0;
+    }
+
+    // Screen transform of a layer at the given depth (1 = foreground): scale about the origin
+    // for zoom-through, then shift by the scroll offset, both weighted by depth for parallax.
+    // A point maps to (p.x * scale + x, p.y * scale + y); sizes scale by size, which unlike
+    // scale ignores the intro's growth so galaxies stream out at their full size.
+    layerTransform(depth = 1) {
+        const origin = this.initialPortraitCenter;
+        const weight = this.config.parallax.enabled ? depth : 1;
+        const size = 1 + this.zoom * weight;
+        const scale = size * this.growth;
+        return {
+            scale,
+            size,
+            x: origin.x * (1 - scale) + this.offsetX * weight,
+            y: origin.y * (1 - scale) + this.offsetY * weight
+        };
+    }
+
+    // Pixel distance from the origin -> redshift, via the comoving distance at the structure edge
+    redshiftAt(distance) {
+        const maxRadius = this.config.maxRadius;
+        const comoving = distance / maxRadius * this.config.cosmology.edgeDistance;
+        return comovingDistanceToRedshift(comoving, this.redshiftTable);
+    }
+
+    // Index into the color map for a redshift, normalized so the structure edge is the top of the map
+    colorIndexFor(z) {
+        return Math.round(Math.min(1, z / this.edgeRedshift) * 255);
+    }
+
+    updateColorMap() {
+        this.colorMapLUT = buildColorMapLUT(this.config.colorMap, this.palette.galaxyShade);
+        this.galaxyColors = [];
+        for (let i = 0; i < 256; i++) {
+            const lut = this.colorMapLUT;
+            this.galaxyColors.push(`rgba(${lut[i * 4]}, ${lut[i * 4 + 1]}, ${lut[i * 4 + 2]}, `);
+        }
+    }
+
+    // Number of galaxies drawn at the current quality tier (galaxies are stored shuffled)
+    visibleGalaxyCount() {
+        const fraction = QUALITY_TIERS[this.qualityIndex].galaxyFraction / MAX_GALAXY_FRACTION;
+        return Math.min(this.galaxies.length, Math.round(this.galaxies.length * fraction));
+    }
+
+    filamentSegmentCount() {
+        return Math.max(2, Math.round(this.config.filamentSegments * QUALITY_TIERS[this.qualityIndex].segmentScale));
+    }
+
+    // Record one rAF tick (cost is null when the tier skipped the draw), then step the tier once a window is full
+    recordFrame(time, cost) {
+        const stats = this.frameStats;
+        const interval = stats.lastFrameTime !== null ? time - stats.lastFrameTime : 0;
+        stats.lastFrameTime = time;
+        if (interval > 0) {
+            // Smoothed rAF ticks per second, for the tuning panel
+            stats.fps = stats.fps ? stats.fps * 0.9 + (1000 / interval) * 0.1 : 1000 / interval;
+        }
+
+        if (this.config.quality !== 'auto') return;
+        // Every tick counts towards the interval, so tiers that skip draws aren't read as slow
+        if (interval > 0) {
+            stats.intervals.push(interval);
+        }
+        if (cost !== null) {
+            stats.costs.push(cost);
+        }
+        if (stats.intervals.length < 60 || stats.costs.length === 0) return;
+
+        const average = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+        const budget = 1000 / this.config.targetFps;
+        const avgCost = average(stats.costs);
+        const avgInterval = average(stats.intervals);
+        stats.costs = [];
+        stats.intervals = [];
+
+        if (stats.cooldown > 0) {
+            stats.cooldown--;
+        }
+
+        if ((avgInterval > budget * 1.25 || avgCost > budget * 0.6) && this.qualityIndex > 0) {
+            // Missing frames: step down and hold off upgrading again for a few windows
+            stats.cooldown = 5;
+            this.setQualityIndex(this.qualityIndex - 1);
+        } else if (avgCost < budget * 0.25 && stats.cooldown === 0 && this.qualityIndex < QUALITY_TIERS.length - 1) {
+            this.setQualityIndex(this.qualityIndex + 1);
+        }
+    }
+
+    setQualityIndex(index) {
+        this.qualityIndex = index;
+        this.qualityTier = QUALITY_TIERS[index].name;
+        if (this.glRenderer) {
+            // Filament segment count is baked into the uploaded geometry
+            this.glRenderer.upload(this);
+        }
+        this.notifyQualityChange();
+    }
+
+    notifyQualityChange() {
+        if (typeof this.onQualityChange === 'function') {
+            this.onQualityChange(this.qualityTier);
+        }
+        if (!this.isWorker && this.canvas.dispatchEvent) {
+            this.canvas.dispatchEvent(new CustomEvent('cosmicweb:quality', { detail: { tier: this.qualityTier } }));
+        }
+    }
+
+    // Origins come from data-cosmic-origin on the canvas: a selector whose every match (e.g. the
+    // portrait, or each research figure) radiates a web. Without it, or when nothing matches,
+    // the web grows from a bright point on the right, where a portrait would typically sit.
+    updateOrigins() {
+        const selector = this.canvas.dataset.cosmicOrigin;
+        let elements = [];
+        if (selector) {
+            try {
+                elements = [...document.querySelectorAll(selector)];
+            } catch (error) {
+                console.warn(`Invalid data-cosmic-origin selector "${selector}":`, error);
+            }
+        }
+
+        if (elements.length > 0) {
+            this.origins = elements.map((element) => {
+                const rect = element.getBoundingClientRect();
+                return {
+                    x: rect.left + rect.width / 2,
+                    y: rect.top + rect.height / 2,
+                    radius: Math.min(rect.width, rect.height) / 2,
+                    isPortraitOrigin: true
+                };
+            });
+        } else {
+            this.origins = [{
+                x: Math.min(window.innerWidth * 0.75, window.innerWidth - 250),
+                y: Math.min(window.innerHeight * 0.4, 400), // Upper-right area
+                radius: 20, // Small central point
+                isPortraitOrigin: false
+            }];
+        }
+        this.portraitCenter = this.origins[0];
+    }
+
+    rand(a, b) {
+        return this.random() * (b - a) + a;
+    }
+
+    gauss(m = 0, s = 1) {
+        let u = 0, v = 0;
+        while (u === 0) u = this.random();
+        while (v === 0) v = this.random();
+        return m + s * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // Structure coordinates, so measured from the origin as it was when the web was generated
+    inWedge(x, y, origin = this.initialPortraitCenter) {
+        return inWedge(x, y, origin, this.config);
+    }
+
+    generateCosmicStructure() {
+        if (!this.initialPortraitCenter) return;
+        
+        const origins = this.initialOrigins;
+        
+        const maxRadius = this.config.maxRadius;
+        
+        // Restart the PRNG so every regeneration with the same seed is identical
+        this.reseed();
+
+        this.redshiftTable = createRedshiftTable(this.config.cosmology);
+        this.edgeRedshift = this.redshiftAt(maxRadius);
+        this.updateColorMap();
+        
+        this.clusters = [];
+        this.filaments = [];
+        this.galaxies = [];
+        this.voids = [];
+        this.skeletonCells = [];
+        this.nodeLinks = [];
+        this.galaxyGrids = new Map();
+        this.invalidateLayers();
+
+        if (this.catalogueStatus === 'loading') return; // Stay empty rather than flash the procedural web
+        if (this.catalogueStatus === 'loaded') {
+            this.generateFromCatalogue(maxRadius); // Centred on the first origin only
+            this.shuffleGalaxies();
+            this.assignMorphology();
+            this.indexGalaxies();
+            return;
+        }
+
+        // Several origins share the galaxy and cluster budget of one
+        const share = 1 / origins.length;
+
+        if (this.config.generator === 'skeleton') {
+            // Clusters sit on the skeleton's nodes
+            origins.forEach((origin, originIndex) => this.generateSkeleton(origin, originIndex, share));
+        } else {
+            // Generate clusters along the filament paths
+            origins.forEach((origin, originIndex) => {
+                for (let i = 0; i < Math.round(this.config.clusterCount * share); i++) {
+                    const r = Math.pow(this.random(), 0.8) * maxRadius * this.rand(0.3, 1);
+                    const a = this.random() * Math.PI * 2; // Full circle
+                    const x = origin.x + r * Math.cos(a) + this.rand(-30, 30);
+                    const y = origin.y + r * Math.sin(a) + this.rand(-30, 30);
+                    const fade = this.originFade(Math.sqrt((x - origin.x) ** 2 + (y - origin.y) ** 2), origin);
+                    this.clusters.push({ x, y, connections: 0, originIndex, fade });
+                }
+            });
+
+            origins.forEach((origin, originIndex) => this.generateFilaments(origin, originIndex));
+        }
+
+        // Populate galaxies along filaments
+        for (const f of this.filaments) {
+            const origin = origins[f.originIndex];
+            // Generate for the richest tier; lower tiers draw a prefix of the shuffled list.
+            // Skeleton filaments carry their own share of the budget, by length.
+            const points = f.samples !== undefined
+                ? f.samples
+                : Math.round(this.config.pointsPerFilament * MAX_GALAXY_FRACTION * share);
+            
+            for (let i = 0; i < points; i++) {
+                const t = i / points;
+                const pos = bezierPoint(f, t);
+                if (!this.inWedge(pos.x, pos.y, origin)) continue;
+                
+                const tangent = bezierTangent(f, t);
+                const len = Math.sqrt(tangent.dx * tangent.dx + tangent.dy * tangent.dy) || 1;
+                const nx = -tangent.dy / len;
+                const ny = tangent.dx / len;
+                
+                // Cone effect: width INCREASES with distance from origin
+                // Galaxies spread out more as they move away from the central point
+                const offset = this.gauss(0, coneWidth(this.filamentReach(f, t), this.config.coneWidth));
+                const dist = Math.sqrt((pos.x - origin.x) ** 2 + (pos.y - origin.y) ** 2);
+                const z = this.redshiftAt(dist);
+                const x = pos.x + nx * offset;
+                const y = pos.y + ny * offset;
+                
+                this.galaxies.push({
+                    x,
+                    y,
+                    baseSize: 0.5 + this.random() * 1.5,
+                    phase: this.random() * Math.PI * 2,
+                    dist,
+                    z,
+                    colorIndex: this.colorIndexFor(z),
+                    filamentDepth: f.depth || 1.0, // Store filament's depth for brightness control
+                    fade: this.originFade(Math.sqrt((x - origin.x) ** 2 + (y - origin.y) ** 2), origin)
+                });
+            }
+        }
+
+        this.shuffleGalaxies();
+        this.indexGalaxies();
+        this.generateVoids(maxRadius);
+        this.connectNodes();
+        this.populateClusters();
+        this.assignMorphology();
+    }
+
+    // Straight major filaments radiating from an origin, with faint background ones between them
+    generateFilaments(origin, originIndex) {
+        const maxRadius = this.config.maxRadius;
+        const { direction: aberrationDirection, skew } = this.config.aberration;
+
+        // Major filaments - straight lines with variable skew based on position
+        // Aberration effect tilted towards down-left, lifted 10° from previous (20° down from left)
+        
+        for (let i = 0; i < this.config.majorFilaments; i++) {
+            const angle = (i / this.config.majorFilaments) * Math.PI * 2; // Evenly distributed full circle
+            
+            // Start from origin edge
+            const startX = origin.x + origin.radius * Math.cos(angle);
+            const startY = origin.y + origin.radius * Math.sin(angle);
+            
+            // Calculate how aligned this filament is with the aberration direction
+            // Filaments pointing opposite to aberration direction get max skew
+            const alignmentWithAberration = Math.cos(angle - aberrationDirection);
+            
+            // Apply variable skew: filaments pointing away from the aberration direction tilt towards it
+            const variableSkew = alignmentWithAberration * skew;
+            
+            const aberratedAngle = angle + variableSkew;
+            const endX = origin.x + maxRadius * Math.cos(aberratedAngle);
+            const endY = origin.y + maxRadius * Math.sin(aberratedAngle);
+            
+            // Assign 3D orientation angle for this filament
+            // Map the 2D angle to a 3D orientation where 0° points toward viewer
+            // We'll use a simple mapping: angle in [0, 2π] maps to 3D angle in [-π/2, π/2]
+            // This creates variation where some filaments point toward/away from viewer
+            const angle3D = Math.sin(angle * 2) * Math.PI / 2; // Varies between -π/2 and π/2
+            
+            // For straight lines, control points are along the line (no curvature)
+            this.filaments.push({
+                p0: { x: startX, y: startY },
+                p1: { x: startX + (endX - startX) * 0.33, y: startY + (endY - startY) * 0.33 },
+                p2: { x: startX + (endX - startX) * 0.67, y: startY + (endY - startY) * 0.67 },
+                p3: { x: endX, y: endY },
+                type: 'major',
+                depth: 1.0, // Foreground filaments
+                angle3D: angle3D, // 3D orientation angle
+                originIndex,
+                fade: this.originFade(Math.sqrt(((startX + endX) / 2 - origin.x) ** 2 + ((startY + endY) / 2 - origin.y) ** 2), origin)
+            });
+        }
+
+        // Add background filaments for depth (faint, positioned between major filaments)
+        // Place them between major filaments but not exactly in the middle
+        const backgroundCount = this.config.backgroundFilaments;
+        const gaps = this.config.majorFilaments || backgroundCount; // Without major filaments, spread them evenly
+        const angleStep = (Math.PI * 2) / gaps;
+        
+        for (let i = 0; i < backgroundCount; i++) {
+            // Distribute across the full circle, between major filaments
+            const majorFilamentIndex = Math.floor(i * (gaps / backgroundCount));
+            // Position between major filaments, offset by 35-45% of the gap (not exactly 50%)
+            const offsetRatio = 0.35 + this.random() * 0.1; // Random offset between 35-45%
+            const angle = (majorFilamentIndex * angleStep) + (angleStep * offsetRatio);
+            
+            const startX = origin.x + origin.radius * Math.cos(angle);
+            const startY = origin.y + origin.radius * Math.sin(angle);
+            
+            const alignmentWithAberration = Math.cos(angle - aberrationDirection);
+            const variableSkew = alignmentWithAberration * skew;
+            
+            const aberratedAngle = angle + variableSkew;
+            const length = maxRadius * this.config.backgroundLength; // Slightly shorter than major
+            const endX = origin.x + length * Math.cos(aberratedAngle);
+            const endY = origin.y + length * Math.sin(aberratedAngle);
+            
+            // Assign 3D orientation angle for background filaments
+            const angle3D = Math.sin(angle * 2 + Math.PI / 4) * Math.PI / 2;
+            
+            this.filaments.push({
+                p0: { x: startX, y: startY },
+                p1: { x: startX + (endX - startX) * 0.33, y: startY + (endY - startY) * 0.33 },
+                p2: { x: startX + (endX - startX) * 0.67, y: startY + (endY - startY) * 0.67 },
+                p3: { x: endX, y: endY },
+                type: 'background',
+                depth: this.config.backgroundDepth, // Much fainter
+                angle3D: angle3D,
+                originIndex,
+                fade: this.originFade(Math.sqrt(((startX + endX) / 2 - origin.x) ** 2 + ((startY + endY) / 2 - origin.y) ** 2), origin)
+            });
+        }
+    }
+
+    // Curved, branching filaments along the edges of a Voronoi diagram whose cells are the voids, so
+    // they meet at its vertices like filaments at cluster nodes. The background layer is a coarser
+    // diagram of its own; the origin is joined to its nearest nodes so the web still grows out of it.
+    generateSkeleton(origin, originIndex, share) {
+        const { cells, originLinks } = this.config.skeleton;
+        const maxRadius = this.config.maxRadius;
+        const start = this.filaments.length;
+
+        const nodes = this.generateSkeletonLayer(origin, originIndex, {
+            cells: Math.max(3, Math.round(cells * share)),
+            reach: maxRadius,
+            type: 'major',
+            depth: 1.0
+        });
+        if (this.config.backgroundFilaments > 0) {
+            this.generateSkeletonLayer(origin, originIndex, {
+                cells: Math.max(3, Math.round(cells * share / 2)),
+                reach: maxRadius * this.config.backgroundLength,
+                type: 'background',
+                depth: this.config.backgroundDepth
+            });
+        }
+
+        const byDistance = [...nodes].sort((a, b) =>
+            Math.hypot(a.x - origin.x, a.y - origin.y) - Math.hypot(b.x - origin.x, b.y - origin.y));
+        for (const node of byDistance.slice(0, originLinks)) {
+            const angle = Math.atan2(node.y - origin.y, node.x - origin.x);
+            const from = { x: origin.x + origin.radius * Math.cos(angle), y: origin.y + origin.radius * Math.sin(angle) };
+            this.pushCurvedFilament(from, node, origin, originIndex, 'major', 1.0);
+        }
+
+        // Best-connected nodes first
+        const clusterCount = Math.round(this.config.clusterCount * share);
+        for (const node of [...nodes].sort((a, b) => b.degree - a.degree).slice(0, clusterCount)) {
+            const fade = this.originFade(Math.hypot(node.x - origin.x, node.y - origin.y), origin);
+            this.clusters.push({ x: node.x, y: node.y, connections: 0, originIndex, fade });
+        }
+
+        // The galaxies a radial web of this origin would have, shared out by filament length
+        const filaments = this.filaments.slice(start);
+        const lengths = filaments.map((f) => Math.hypot(f.p3.x - f.p0.x, f.p3.y - f.p0.y));
+        const total = lengths.reduce((sum, length) => sum + length, 0) || 1;
+        const budget = Math.round(this.config.pointsPerFilament * MAX_GALAXY_FRACTION * share) *
+            (this.config.majorFilaments + this.config.backgroundFilaments);
+        filaments.forEach((f, i) => {
+            f.samples = Math.round(budget * lengths[i] / total);
+        });
+    }
+
+    // One depth of the skeleton; returns the nodes its filaments meet at, with their degree
+    generateSkeletonLayer(origin, originIndex, { cells, reach, type, depth }) {
+        // Cell centres spread past the reach so the diagram covers all of it
+        const centres = [];
+        for (let i = 0; i < cells; i++) {
+            const r = Math.sqrt(this.random()) * reach * 1.3;
+            const a = this.random() * Math.PI * 2;
+            centres.push({ x: origin.x + r * Math.cos(a), y: origin.y + r * Math.sin(a) });
+        }
+
+        const { vertices, edges } = voronoiSkeleton(centres);
+        const distance = (v) => Math.hypot(v.x - origin.x, v.y - origin.y);
+        const inside = (v) => distance(v) <= reach && distance(v) > origin.radius * 1.1;
+        if (type === 'major') {
+            // A cell's nearest edge is half way to the nearest other centre, so a void disc that size fits
+            for (const centre of centres) {
+                if (!inside(centre)) continue;
+                const room = Math.min(...centres.filter((other) => other !== centre)
+                    .map((other) => Math.hypot(other.x - centre.x, other.y - centre.y))) / 2;
+                this.skeletonCells.push({ x: centre.x, y: centre.y, room, originIndex });
+            }
+        }
+        const nodes = new Map();
+        for (const [a, b] of edges) {
+            if (!inside(vertices[a]) || !inside(vertices[b])) continue;
+
+            // Run outwards, so the taper and galaxy scatter grow away from the origin
+            const [near, far] = distance(vertices[a]) <= distance(vertices[b]) ? [a, b] : [b, a];
+            this.pushCurvedFilament(vertices[near], vertices[far], origin, originIndex, type, depth, reach);
+            for (const index of [near, far]) {
+                const node = nodes.get(index) || { x: vertices[index].x, y: vertices[index].y, degree: 0 };
+                node.degree++;
+                nodes.set(index, node);
+            }
+        }
+        return [...nodes.values()];
+    }
+
+    // A filament from `from` to `to` with its control points bent to either side by config.skeleton.curvature
+    pushCurvedFilament(from, to, origin, originIndex, type, depth, reach = this.config.maxRadius) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const nx = -dy / length;
+        const ny = dx / length;
+        const bend1 = this.gauss(0, this.config.skeleton.curvature) * length;
+        const bend2 = this.gauss(0, this.config.skeleton.curvature) * length;
+        const distance = (p) => Math.hypot(p.x - origin.x, p.y - origin.y);
+
+        this.filaments.push({
+            p0: { x: from.x, y: from.y },
+            p1: { x: from.x + dx * 0.33 + nx * bend1, y: from.y + dy * 0.33 + ny * bend1 },
+            p2: { x: from.x + dx * 0.67 + nx * bend2, y: from.y + dy * 0.67 + ny * bend2 },
+            p3: { x: to.x, y: to.y },
+            type,
+            depth,
+            angle3D: this.rand(-Math.PI / 2, Math.PI / 2),
+            originIndex,
+            // Where along the origin's cone the ends sit (0 at the origin, 1 at the reach), see filamentReach()
+            taper: [distance(from) / reach, distance(to) / reach],
+            fade: this.originFade(distance({ x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }), origin)
+        });
+    }
+
+    // How far along the origin's cone a filament is at parameter t: t itself for radial filaments,
+    // which span it, interpolated between the ends for skeleton ones
+    filamentReach(f, t) {
+        return f.taper ? f.taper[0] + (f.taper[1] - f.taper[0]) * t : t;
+    }
+
+    // Distance fade around element origins; the bright point lights the whole web evenly
+    originFade(distance, origin) {
+        return origin.isPortraitOrigin ? Math.max(0, 1 - distance / this.config.maxRadius) : 1;
+    }
+
+    // Voids sit in the angular gaps between major filaments, where no galaxies are placed, or in the
+    // skeleton's cells. Like the clusters, several origins share the void count of one.
+    generateVoids(maxRadius) {
+        const random = createSeededRandom(`${this.seed}:voids`);
+        const origins = this.initialOrigins;
+        const gaps = this.config.majorFilaments;
+        const angleStep = (Math.PI * 2) / Math.max(1, gaps);
+        const [minRadius, maxVoidRadius] = this.config.voidRadius;
+
+        if (this.config.generator === 'skeleton') {
+            // Cell centres come in random order, so the first few are a random pick
+            origins.forEach((origin, originIndex) => {
+                const cells = this.skeletonCells.filter((cell) => cell.originIndex === originIndex);
+                for (const cell of cells.slice(0, Math.round(this.config.voidCount / origins.length))) {
+                    this.voids.push({ x: cell.x, y: cell.y, radius: Math.min(maxVoidRadius, cell.room), originIndex });
+                }
+            });
+            return;
+        }
+
+        origins.forEach((origin, originIndex) => {
+            for (let i = 0; i < Math.round(this.config.voidCount / origins.length); i++) {
+                const gap = Math.floor(random() * gaps);
+                const jitter = random() - 0.5;
+                // Without major filaments there are no gaps, so a void can sit at any angle
+                const angle = gaps > 0 ? (gap + 0.5) * angleStep + jitter * angleStep * 0.3 : random() * Math.PI * 2;
+                const distance = maxRadius * (0.15 + random() * 0.6);
+                this.voids.push({
+                    x: origin.x + distance * Math.cos(angle),
+                    y: origin.y + distance * Math.sin(angle),
+                    radius: minRadius + random() * (maxVoidRadius - minRadius),
+                    originIndex
+                });
+            }
+        });
+    }
+
+    findNearestCluster(x, y, exclude = null) {
+        let nearest = null;
+        let minDist = Infinity;
+
+        for (const cluster of this.clusters) {
+            if (exclude && exclude.has(cluster)) continue;
+            const dist = Math.sqrt((cluster.x - x) ** 2 + (cluster.y - y) ** 2);
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = { cluster, distance: dist };
+            }
+        }
+
+        return nearest;
+    }
+
+    // Link every cluster to its nearest neighbours, counting links on both ends in `connections`
+    connectNodes() {
+        const linked = new Map(this.clusters.map((cluster) => [cluster, new Set([cluster])]));
+
+        for (const cluster of this.clusters) {
+            for (let i = 0; i < this.config.nodeLinks; i++) {
+                const nearest = this.findNearestCluster(cluster.x, cluster.y, linked.get(cluster));
+                if (!nearest || nearest.distance > this.config.nodeLinkLength) break;
+
+                this.nodeLinks.push({ a: cluster, b: nearest.cluster });
+                linked.get(cluster).add(nearest.cluster);
+                linked.get(nearest.cluster).add(cluster);
+                cluster.connections++;
+                nearest.cluster.connections++;
+            }
+        }
+    }
+
+    // Members are drawn once from a projected NFW profile; richer (better connected) clusters
+    // are larger and more populated. All members share their cluster's redshift.
+    populateClusters() {
+        const random = createSeededRandom(`${this.seed}:clusters`);
+        const concentration = this.config.clusterConcentration;
+        // Enclosed NFW mass within x = r / r_s, up to normalization
+        const nfwMass = (x) => Math.log(1 + x) - x / (1 + x);
+        const totalMass = nfwMass(concentration);
+
+        for (const c of this.clusters) {
+            const virialRadius = 15 + 8 * c.connections;
+            const scaleRadius = virialRadius / concentration;
+            const memberCount = 50 + Math.floor(30 * c.connections);
+            const origin = this.initialOrigins[c.originIndex];
+            const z = this.redshiftAt(Math.sqrt((c.x - origin.x) ** 2 + (c.y - origin.y) ** 2));
+
+            c.colorIndex = this.colorIndexFor(z);
+            c.members = [];
+            for (let i = 0; i < memberCount; i++) {
+                // Invert the enclosed mass fraction by bisection to get a 3D radius...
+                const target = random() * totalMass;
+                let lo = 0;
+                let hi = concentration;
+                for (let step = 0; step < 30; step++) {
+                    const mid = (lo + hi) / 2;
+                    if (nfwMass(mid) < target) lo = mid;
+                    else hi = mid;
+                }
+                // ...then project it along a random line of sight
+                const cosTheta = random() * 2 - 1;
+                const radius = (lo + hi) / 2 * scaleRadius * Math.sqrt(1 - cosTheta * cosTheta);
+                const angle = random() * Math.PI * 2;
+
+                c.members.push({
+                    dx: radius * Math.cos(angle),
+                    dy: radius * Math.sin(angle),
+                    size: 0.8 + random() * 1.2,
+                    alpha: 0.1 + 0.05 * random(),
+                    phase: random() * Math.PI * 2
+                });
+            }
+        }
+    }
+
+    // Morphology-density relation: ellipticals dominate near clusters, spirals in the field
+    assignMorphology() {
+        const random = createSeededRandom(`${this.seed}:morphology`);
+
+        for (const g of this.galaxies) {
+            const nearest = this.findNearestCluster(g.x, g.y);
+            const inCluster = nearest && nearest.distance < 80;
+            g.type = random() < (inCluster ? 0.7 : 0.25) ? 'elliptical' : 'spiral';
+            g.orientation = random() * Math.PI;
+            g.axisRatio = g.type === 'elliptical' ? 0.6 + random() * 0.4 : 0.3 + random() * 0.5;
+        }
+    }
+
+    // Project catalogue galaxies into a 2dF-style cone diagram around the origin:
+    // RA spreads across the wedge, comoving distance sets the radius, Dec only selects the slice
+    generateFromCatalogue(maxRadius) {
+        const origin = this.initialPortraitCenter;
+        let [raMin, raMax] = this.config.catalogueRaRange;
+        const [decMin, decMax] = this.config.catalogueDecRange;
+        if (!(raMax > raMin)) {
+            // RA is spread across the wedge by (raMax - raMin), which must not be empty
+            console.warn(`Empty catalogueRaRange [${raMin}, ${raMax}], using [0, 360]`);
+            [raMin, raMax] = [0, 360];
+        }
+        const edgeDistance = this.config.cosmology.edgeDistance;
+
+        for (const row of this.catalogue) {
+            if (row.ra < raMin || row.ra > raMax || row.dec < decMin || row.dec > decMax) continue;
+
+            const comoving = redshiftToComovingDistance(row.z, this.redshiftTable);
+            if (comoving > edgeDistance) continue;
+
+            const dist = comoving / edgeDistance * maxRadius;
+            const angle = this.config.wedgeRotation + (row.ra - raMin) / (raMax - raMin) * this.config.wedgeAngle;
+            const x = origin.x + dist * Math.cos(angle);
+            const y = origin.y + dist * Math.sin(angle);
+            if (!this.inWedge(x, y)) continue;
+
+            this.galaxies.push({
+                x,
+                y,
+                baseSize: 0.5 + this.random() * 1.5,
+                phase: this.random() * Math.PI * 2,
+                dist,
+                z: row.z,
+                colorIndex: this.colorIndexFor(row.z),
+                filamentDepth: 1.0,
+                fade: this.originFade(dist, origin)
+            });
+        }
+    }
+
+    // Grid the galaxies of each parallax layer by their structure position
+    indexGalaxies() {
+        this.galaxyGrids = new Map();
+        this.galaxies.forEach((g, index) => {
+            const depth = g.filamentDepth || 1.0;
+            if (!this.galaxyGrids.has(depth)) {
+                this.galaxyGrids.set(depth, new SpatialGrid());
+            }
+            this.galaxyGrids.get(depth).insert(index, g.x, g.y);
+        });
+    }
+
+    // Indices of the drawn galaxies (below visibleGalaxyCount()) whose resting position lies in a
+    // viewport rectangle, grown per layer by `margin(layerTransform)` CSS px
+    galaxyIndicesIn(left, top, right, bottom, margin = () => 0) {
+        const count = this.visibleGalaxyCount();
+        const indices = [];
+        for (const [depth, grid] of this.galaxyGrids) {
+            const t = this.layerTransform(depth);
+            const grow = margin(t);
+            const start = indices.length;
+            grid.query(
+                (left - grow - t.x) / t.scale, (top - grow - t.y) / t.scale,
+                (right + grow - t.x) / t.scale, (bottom + grow - t.y) / t.scale,
+                indices
+            );
+            // Drop the ones the quality tier leaves out, compacting in place
+            let kept = start;
+            for (let i = start; i < indices.length; i++) {
+                if (indices[i] < count) indices[kept++] = indices[i];
+            }
+            indices.length = kept;
+        }
+        return indices;
+    }
+
+    // Drawn galaxies within `radius` CSS px of a viewport point, as { galaxy, distance } nearest first
+    galaxiesWithin(x, y, radius) {
+        if (!this.initialPortraitCenter) return [];
+
+        const found = [];
+        for (const index of this.galaxyIndicesIn(x - radius, y - radius, x + radius, y + radius)) {
+            const g = this.galaxies[index];
+            const t = this.layerTransform(g.filamentDepth || 1.0);
+            const distance = Math.hypot(g.x * t.scale + t.x - x, g.y * t.scale + t.y - y);
+            if (distance <= radius) found.push({ galaxy: g, distance });
+        }
+        return found.sort((a, b) => a.distance - b.distance);
+    }
+
+    // Nearest drawn galaxy within `radius` CSS px of a viewport point, or null
+    nearestGalaxy(x, y, radius) {
+        const [nearest] = this.galaxiesWithin(x, y, radius);
+        return nearest ? nearest.galaxy : null;
+    }
+
+    // Shuffle so any prefix is an even subsample of every filament
+    shuffleGalaxies() {
+        for (let i = this.galaxies.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [this.galaxies[i], this.galaxies[j]] = [this.galaxies[j], this.galaxies[i]];
+        }
+    }
+
+    draw() {
+        this.needsRedraw = false;
+
+        if (this.glRenderer) {
+            this.glRenderer.render(this);
+            return;
+        }
+
+        // Clear canvas with transparency (let CSS background show through)
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        // Everything below is drawn in CSS pixels
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, this.canvasOffset.x, this.canvasOffset.y);
+
+        if (!this.portraitCenter || !this.initialPortraitCenter) return;
+
+        // Calculate offset for smooth scrolling and parallax
+        this.updateViewTransform();
+
+        // Draw in layers
+        if (this.config.layers.voids) {
+            this.drawCosmicVoids();
+        }
+        this.drawFilaments();
+        if (this.config.layers.nodes) {
+            this.drawNodes();
+        }
+        if (this.config.layers.clusters) {
+            this.drawClusters();
+        }
+        this.drawGalaxies();
+        
+        // Draw bright central point (Big Bang) for non-portrait pages
+        if (!this.portraitCenter.isPortraitOrigin) {
+            this.drawBigBangPoint();
+        }
+    }
+    
+    originPulse() {
+        return 1 + 0.8 * (1 - this.growth);
+    }
+
+    drawBigBangPoint() {
+        if (!this.portraitCenter) return;
+        
+        // The origin moves with the foreground layer
+        const origin = this.initialPortraitCenter;
+        const cx = origin.x + this.offsetX;
+        const cy = origin.y + this.offsetY;
+        
+        // Flares while the intro expands the web out of it, static afterwards
+        const pulse = this.originPulse();
+        const radius = 40 * pulse; // Outermost gradient
+        
+        if (!this.config.cacheLayers) {
+            this.paintGlow(this.ctx, cx, cy, pulse);
+            return;
+        }
+        
+        // Pre-rendered at the device resolution, redrawn only when the pulse or theme changes
+        const size = Math.ceil(2 * radius * this.pixelRatio);
+        const sprite = this.glowSprite;
+        if (!sprite || sprite.pulse !== pulse || sprite.ratio !== this.pixelRatio || sprite.palette !== this.palette) {
+            const canvas = sprite && sprite.canvas.width === size ? sprite.canvas : createCanvas(size, size);
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, size, size);
+            ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+            this.paintGlow(ctx, radius, radius, pulse);
+            this.glowSprite = { canvas, pulse, ratio: this.pixelRatio, palette: this.palette };
+        }
+        this.ctx.drawImage(this.glowSprite.canvas, cx - radius, cy - radius, 2 * radius, 2 * radius);
+    }
+
+    // Multiple glowing layers for the bright point, centred on (cx, cy)
+    paintGlow(ctx, cx, cy, pulse) {
+        // Get theme-aware colors
+        const colors = this.getThemeColors();
+        
+        const gradients = [
+            { radius: 40 * pulse, alpha: 0.15 },
+            { radius: 25 * pulse, alpha: 0.3 },
+            { radius: 15 * pulse, alpha: 0.5 },
+            { radius: 8 * pulse, alpha: 0.8 },
+            { radius: 3 * pulse, alpha: 1.0 }
+        ];
+        
+        for (const g of gradients) {
+            const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, g.radius);
+            const alpha = g.alpha * colors.glowOpacity;
+            gradient.addColorStop(0, `${colors.bigBang.core}, ${alpha})`);
+            gradient.addColorStop(0.4, `${colors.bigBang.mid}, ${alpha * 0.6})`);
+            gradient.addColorStop(1, `${colors.bigBang.outer}, 0)`);
+            
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(cx, cy, g.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    drawCosmicVoids() {
+        if (!this.voids) return;
+        
+        const t = this.layerTransform(1.0);
+        // Voids read as darker regions on the dark theme and paler ones on the light theme
+        const colors = this.getThemeColors();
+        const shade = colors.void;
+        
+        for (const v of this.voids) {
+            const x = v.x * t.scale + t.x;
+            const y = v.y * t.scale + t.y;
+            const radius = v.radius * t.scale;
+            
+            const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, `${shade}, 0.35)`);
+            gradient.addColorStop(0.6, `${shade}, 0.15)`);
+            gradient.addColorStop(1, `${shade}, 0)`);
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Void boundary ring (observational signature)
+            this.ctx.strokeStyle = `${colors.filament}, 0.12)`;
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([3, 6]);
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius * 0.85, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+    }
+
+    drawNodes() {
+        if (!this.clusters || !this.portraitCenter) return;
+        
+        const t = this.layerTransform(1.0);
+        const colors = this.getThemeColors();
+        const linkAlpha = colors.linkAlpha;
+        
+        // Filaments between connected clusters
+        this.ctx.strokeStyle = `${colors.filament}, ${linkAlpha})`;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        for (const link of this.nodeLinks) {
+            this.ctx.moveTo(link.a.x * t.scale + t.x, link.a.y * t.scale + t.y);
+            this.ctx.lineTo(link.b.x * t.scale + t.x, link.b.y * t.scale + t.y);
+        }
+        this.ctx.stroke();
+        
+        // Cluster glow grows with the number of filaments meeting at the node
+        for (const c of this.clusters) {
+            if (!this.inWedge(c.x, c.y, this.initialOrigins[c.originIndex])) continue;
+            
+            const x = c.x * t.scale + t.x;
+            const y = c.y * t.scale + t.y;
+            const radius = 6 + 3 * c.connections;
+            const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, `${colors.bigBang.core}, ${0.35 * colors.glowOpacity})`);
+            gradient.addColorStop(0.4, `${colors.bigBang.mid}, ${0.12 * colors.glowOpacity})`);
+            gradient.addColorStop(1, `${colors.bigBang.outer}, 0)`);
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    drawClusters() {
+        if (!this.clusters || !this.portraitCenter) return;
+        
+        const t = this.layerTransform(1.0);
+        const opacity = this.getThemeColors().galaxyOpacity;
+        
+        for (const c of this.clusters) {
+            if (!this.inWedge(c.x, c.y, this.initialOrigins[c.originIndex])) continue;
+            
+            // Apply scroll offset and zoom
+            const cx = c.x * t.scale + t.x;
+            const cy = c.y * t.scale + t.y;
+            
+            // Distance-based fade only for portrait origin (precomputed)
+            const fadeFactor = c.fade;
+            
+            const colorPrefix = this.galaxyColors[c.colorIndex];
+            const count = Math.round(c.members.length * QUALITY_TIERS[this.qualityIndex].galaxyFraction / MAX_GALAXY_FRACTION);
+            
+            for (let i = 0; i < count; i++) {
+                const m = c.members[i];
+                
+                // Same shimmer and drift as field galaxies, at half the amplitude
+                const shimmer = 0.7 + 0.3 * Math.sin(this.time * this.config.shimmerSpeed + m.phase);
+                const drift = this.time * 0.001 + m.phase;
+                const gx = cx + m.dx * t.scale + 0.5 * this.config.motionAmplitude * Math.sin(drift);
+                const gy = cy + m.dy * t.scale + 0.5 * this.config.motionAmplitude * Math.cos(drift);
+                const alpha = m.alpha * shimmer * fadeFactor * opacity;
+                const size = m.size * shimmer * t.size;
+                
+                this.ctx.fillStyle = `${colorPrefix}${alpha})`;
+                this.ctx.beginPath();
+                this.ctx.arc(gx, gy, size, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+        }
+    }
+
+    drawFilaments() {
+        if (!this.filaments || !this.portraitCenter) return;
+        
+        // One layer per parallax depth (major and background filaments), since each moves on its own
+        const depths = [...new Set(this.filaments.map((f) => f.depth || 1.0))];
+        for (const depth of depths) {
+            if (this.config.cacheLayers) {
+                this.drawCachedLayer(`filaments:${depth}`, depth, (ctx, t) => this.strokeFilaments(ctx, depth, t));
+            } else {
+                this.strokeFilaments(this.ctx, depth, this.layerTransform(depth));
+            }
+        }
+    }
+
+    // Stroke the filaments of one parallax depth with its layer transform
+    strokeFilaments(ctx, depth, t) {
+        // Get theme-aware colors once for all filaments
+        const colors = this.getThemeColors();
+        const segments = this.filamentSegmentCount();
+        
+        for (const f of this.filaments) {
+            if ((f.depth || 1.0) !== depth) continue;
+            
+            // Apply scroll offset and zoom for this filament's depth (parallax)
+            const curve = {
+                p0: { x: f.p0.x * t.scale + t.x, y: f.p0.y * t.scale + t.y },
+                p1: { x: f.p1.x * t.scale + t.x, y: f.p1.y * t.scale + t.y },
+                p2: { x: f.p2.x * t.scale + t.x, y: f.p2.y * t.scale + t.y },
+                p3: { x: f.p3.x * t.scale + t.x, y: f.p3.y * t.scale + t.y }
+            };
+            
+            // Depth-based properties with theme-aware alpha, faded by the filament's mean distance
+            const alpha = this.filamentBaseAlpha(f.type) * f.fade * depth;
+            ctx.strokeStyle = `${colors.filament}, ${alpha})`;
+            
+            // Draw filament with cone/tapering effect
+            // Filaments start THIN at the central point and WIDEN as they expand outward
+            // Split into segments and gradually INCREASE width (cone expanding outward)
+            let from = curve.p0;
+            for (let i = 0; i < segments; i++) {
+                const to = bezierPoint(curve, (i + 1) / segments);
+                
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.lineWidth = this.filamentWidth(f, i / segments) * t.size;
+                ctx.stroke();
+                from = to;
+            }
+        }
+    }
+
+    // Static layers are rendered into a bitmap a margin larger than the canvas, then only re-composited
+    // while the layer just translates (scroll parallax). Scale, quality, pixel ratio or theme changes,
+    // or a shift past the margin, render it again; invalidateLayers() drops every bitmap. While the
+    // scale keeps changing (zoom-through on scroll) the layer is stroked directly instead, since
+    // every frame would re-render the bitmap; it is cached again once the scale holds still.
+    drawCachedLayer(name, depth, render) {
+        const t = this.layerTransform(depth);
+        const scale = `${t.scale},${t.size}`;
+        const previousScale = this.layerScales.get(name);
+        this.layerScales.set(name, scale);
+        if (previousScale !== undefined && previousScale !== scale) {
+            render(this.ctx, t);
+            return;
+        }
+
+        const ratio = this.pixelRatio;
+        const marginX = Math.ceil(this.canvas.width * 0.25);
+        const marginY = Math.ceil(this.canvas.height * 0.25);
+        const key = [
+            this.canvas.width, this.canvas.height, ratio, this.canvasOffset.x, this.canvasOffset.y,
+            t.scale, t.size, this.qualityIndex
+        ].join();
+
+        let layer = this.layerCache.get(name);
+        const stale = !layer || layer.key !== key || layer.palette !== this.palette ||
+            Math.abs(t.x - layer.x) * ratio > marginX || Math.abs(t.y - layer.y) * ratio > marginY;
+        if (stale) {
+            const canvas = layer && layer.canvas.width === this.canvas.width + 2 * marginX &&
+                layer.canvas.height === this.canvas.height + 2 * marginY
+                ? layer.canvas
+                : createCanvas(this.canvas.width + 2 * marginX, this.canvas.height + 2 * marginY);
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.setTransform(ratio, 0, 0, ratio, this.canvasOffset.x + marginX, this.canvasOffset.y + marginY);
+            render(ctx, t);
+            layer = { canvas, key, palette: this.palette, x: t.x, y: t.y };
+            this.layerCache.set(name, layer);
+        }
+
+        // In device pixels, shifted by however far the layer has moved since it was rendered
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.drawImage(layer.canvas, (t.x - layer.x) * ratio - marginX, (t.y - layer.y) * ratio - marginY);
+        this.ctx.restore();
+    }
+
+    invalidateLayers() {
+        this.layerCache.clear();
+    }
+
+    // Theme-aware base opacity of a filament, before distance fade and depth
+    filamentBaseAlpha(type) {
+        const colors = this.getThemeColors();
+        return type === 'background' ? colors.backgroundFilamentAlpha : colors.filamentAlpha;
+    }
+
+    // Stroke width of a filament at parameter t
+    filamentWidth(f, t) {
+        // Calculate 3D orientation width modifier
+        // Filaments pointing toward viewer (angle3D ~ 0) should be wider
+        // Filaments pointing away or sideways should be narrower
+        // Use cosine: cos(0) = 1 (toward viewer, max width), cos(±π/2) = 0 (perpendicular, min width)
+        const angle3D = f.angle3D || 0;
+        const orientationFactor = 0.4 + 0.6 * Math.abs(Math.cos(angle3D)); // Range: 0.4 to 1.0
+        
+        // Cone effect: width INCREASES from origin (thin) to outer edge (wide)
+        // Modified by 3D orientation for foreshortening effect
+        const startWidth = f.type === 'background' ? 0.15 : 0.2;  // Very thin at origin
+        const endWidth = f.type === 'background' ? 3.5 : 8.0;     // Much wider at edge
+        const baseWidth = startWidth + (endWidth - startWidth) * this.filamentReach(f, t);  // Increases with distance
+        return baseWidth * orientationFactor; // Apply 3D orientation scaling
+    }
+
+    drawGalaxies() {
+        if (!this.galaxies || !this.portraitCenter) return;
+        
+        const transforms = {}; // Per depth, shared by all galaxies of a layer
+        
+        const morphology = this.config.layers.morphology;
+        const colors = this.getThemeColors();
+        
+        // Pointer lens (see setupInteraction)
+        const lens = this.pointer.strength > 0 ? this.pointer : null;
+        const einsteinRadius2 = this.config.lensingRadius * this.config.lensingRadius;
+        const lensReach = this.config.lensingRadius * 6;
+        
+        // Only galaxies that can reach the canvas: the area it covers in CSS px, grown by the drift,
+        // the lens shift (at most the Einstein radius) and the largest sprite (2.4 x baseSize 2)
+        const left = -this.canvasOffset.x / this.pixelRatio;
+        const top = -this.canvasOffset.y / this.pixelRatio;
+        const visible = this.galaxyIndicesIn(
+            left, top,
+            left + this.canvas.width / this.pixelRatio, top + this.canvas.height / this.pixelRatio,
+            (t) => this.config.motionAmplitude + (lens ? this.config.lensingRadius : 0) + 5 * t.size
+        );
+        
+        const atlas = this.galaxySprites();
+        
+        for (const i of visible) {
+            const g = this.galaxies[i];
+            
+            // Apply scroll offset and zoom for the galaxy's layer (parallax)
+            const filamentDepth = g.filamentDepth || 1.0;
+            const t = transforms[filamentDepth] || (transforms[filamentDepth] = this.layerTransform(filamentDepth));
+            const gx = g.x * t.scale + t.x;
+            const gy = g.y * t.scale + t.y;
+            
+            // Shimmer x distance fade (precomputed) x layer brightness, capped by the theme's opacity
+            const baseAlpha = 0.7 + 0.3 * Math.sin(this.time * this.config.shimmerSpeed + g.phase);
+            const colorAlpha = galaxyAlpha(colors, baseAlpha, g.fade, filamentDepth);
+            const r = g.baseSize * t.size * (0.7 + 0.3 * Math.sin(this.time * this.config.shimmerSpeed + g.phase));
+            let x = gx + this.config.motionAmplitude * Math.sin(this.time * 0.001 + g.phase);
+            let y = gy + this.config.motionAmplitude * Math.cos(this.time * 0.001 + g.phase);
+            
+            if (lens) {
+                const ldx = x - lens.x;
+                const ldy = y - lens.y;
+                const beta = Math.sqrt(ldx * ldx + ldy * ldy);
+                if (beta > 0 && beta < lensReach) {
+                    // Primary image of a point lens, θ = (β + √(β² + 4θE²)) / 2, tapered to 0 at the reach
+                    const theta = (beta + Math.sqrt(beta * beta + 4 * einsteinRadius2)) / 2;
+                    const taper = Math.pow(1 - (beta / lensReach) ** 2, 2);
+                    const scale = 1 + (theta / beta - 1) * taper * lens.strength;
+                    x = lens.x + ldx * scale;
+                    y = lens.y + ldy * scale;
+                }
+            }
+            
+            // Redshift color from the color map (darkened for light mode)
+            if (morphology && g.type && g.baseSize > 1.2) {
+                this.ctx.globalAlpha = 1;
+                this.drawGalaxySprite(g, x, y, r, this.galaxyColors[g.colorIndex], colorAlpha);
+                continue;
+            }
+            
+            if (atlas) {
+                // Glow disc from the atlas, 1.5 r across its fading edge
+                const cell = GALAXY_SPRITE_CELL;
+                const glow = r * 1.5;
+                this.ctx.globalAlpha = colorAlpha;
+                this.ctx.drawImage(atlas, (g.colorIndex % 16) * cell, Math.floor(g.colorIndex / 16) * cell, cell, cell,
+                    x - glow, y - glow, glow * 2, glow * 2);
+                continue;
+            }
+            
+            this.ctx.fillStyle = `${this.galaxyColors[g.colorIndex]}${colorAlpha})`;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, r, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    // 16 x 16 atlas of soft glow discs, one per color map entry, opaque at the centre and fading
+    // out from half their radius; null when cacheLayers is off. Rebuilt when the color map changes.
+    galaxySprites() {
+        if (!this.config.cacheLayers) return null;
+        if (this.spriteAtlas && this.spriteAtlas.colors === this.galaxyColors) return this.spriteAtlas.canvas;
+
+        const cell = GALAXY_SPRITE_CELL;
+        const canvas = this.spriteAtlas ? this.spriteAtlas.canvas : createCanvas(cell * 16, cell * 16);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.galaxyColors.forEach((color, index) => {
+            const cx = (index % 16 + 0.5) * cell;
+            const cy = (Math.floor(index / 16) + 0.5) * cell;
+            const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, cell / 2);
+            gradient.addColorStop(0, `${color}1)`);
+            gradient.addColorStop(0.5, `${color}1)`);
+            gradient.addColorStop(1, `${color}0)`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(cx - cell / 2, cy - cell / 2, cell, cell);
+        });
+        this.spriteAtlas = { canvas, colors: this.galaxyColors };
+        return canvas;
+    }
+
+    // Spirals: faint inclined disk with a bright bulge. Ellipticals: smooth ellipse with a core.
+    drawGalaxySprite(g, x, y, r, colorPrefix, alpha) {
+        const isSpiral = g.type === 'spiral';
+        const major = r * (isSpiral ? 2.4 : 1.6);
+        
+        this.ctx.fillStyle = `${colorPrefix}${alpha * (isSpiral ? 0.35 : 0.6)})`;
+        this.ctx.beginPath();
+        this.ctx.ellipse(x, y, major, major * g.axisRatio, g.orientation, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = `${colorPrefix}${alpha})`;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, r * (isSpiral ? 0.6 : 0.8), 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
+    // === IMAGE EXPORT ===
+    // Re-render the seeded structure for download as a PNG of any size or as an SVG (voids as
+    // gradient discs, filaments as tapered paths, galaxies as circles or morphology ellipses). The export is drawn at rest (no scroll offset, parallax or
+    // pointer lens) at the richest quality tier, with the on-screen view scaled to cover width × height.
+    // Resolves to a Blob.
+    async exportImage({ format = 'png', width, height, theme = this.theme, background } = {}) {
+        const palette = theme === this.theme ? this.palette : this.readPalette(theme);
+        const view = this.viewport || { width: window.innerWidth, height: window.innerHeight };
+        width = Math.round(width || view.width * this.pixelRatio);
+        height = Math.round(height || view.height * this.pixelRatio);
+        if (background === undefined) {
+            background = palette.background || null; // null = transparent
+        }
+
+        const scale = Math.max(width / view.width, height / view.height);
+        const shiftX = (width - view.width * scale) / 2;
+        const shiftY = (height - view.height * scale) / 2;
+        const snapshot = await this.createSnapshot(view, theme, palette);
+
+        if (format === 'svg') {
+            const svg = snapshot.renderSVG(width, height, scale, shiftX, shiftY, background);
+            return new Blob([svg], { type: 'image/svg+xml' });
+        }
+        if (format !== 'png') {
+            throw new Error(`Unsupported export format "${format}", expected "png" or "svg"`);
+        }
+
+        const canvas = snapshot.canvas;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        snapshot.ctx = ctx;
+        snapshot.canvasOffset = { x: shiftX, y: shiftY };
+        snapshot.pixelRatio = scale;
+        snapshot.draw();
+        if (background) {
+            // Behind what was just drawn, draw() starts by clearing the canvas
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: 'image/png' });
+        }
+        return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    // Headless copy generated from the same seed, config and origin. Built on the page even when a
+    // worker draws the background, so exports never have to read pixels back from it.
+    async createSnapshot(view, theme, palette) {
+        const canvas = createCanvas(1, 1);
+        // Like the worker's instance it is handed its canvas and never touches the DOM
+        const snapshot = new CosmicWeb(null, { offscreenCanvas: canvas });
+        mergeConfig(snapshot.config, this.config);
+        snapshot.config.quality = QUALITY_TIERS[QUALITY_TIERS.length - 1].name;
+        snapshot.config.cacheLayers = false; // Drawn once, a cache would only cost memory
+        snapshot.qualityIndex = QUALITY_TIERS.length - 1;
+        snapshot.seed = this.seed;
+        snapshot.theme = theme;
+        snapshot.palette = palette;
+        snapshot.time = this.worker ? (await new Promise((resolve) => this.requestStats(resolve))).time : this.time;
+        snapshot.pauseReasons.add('snapshot');
+
+        if (this.catalogueStatus === 'loaded') {
+            snapshot.catalogue = this.catalogue;
+            snapshot.catalogueStatus = 'loaded';
+        } else if (this.config.catalogue) {
+            await snapshot.loadCatalogue(this.config.catalogue);
+        }
+
+        const origins = this.initialOrigins.length > 0 ? this.initialOrigins : this.origins;
+        snapshot.setViewport(view.width, view.height, origins.map((origin) => ({ ...origin })), 1);
+        snapshot.updateViewTransform();
+        return snapshot;
+    }
+
+    renderSVG(width, height, scale, shiftX, shiftY, background) {
+        const colors = this.getThemeColors();
+        const origin = this.initialPortraitCenter;
+        const n = (value) => Math.round(value * 100) / 100;
+        const parts = [];
+
+        if (background) {
+            parts.push(`<rect width="${width}" height="${height}" fill="${background}"/>`);
+        }
+        parts.push(`<g transform="translate(${n(shiftX)} ${n(shiftY)}) scale(${n(scale)})">`);
+
+        // Same shading and dashed boundary ring as drawCosmicVoids()
+        if (this.config.layers.voids && this.voids.length > 0) {
+            parts.push(`<defs><radialGradient id="cosmic-void">
+                    <stop offset="0" stop-color="${colors.void}, 0.35)"/>
+                    <stop offset="0.6" stop-color="${colors.void}, 0.15)"/>
+                    <stop offset="1" stop-color="${colors.void}, 0)"/>
+                </radialGradient></defs>`);
+            for (const v of this.voids) {
+                parts.push(`<circle cx="${n(v.x)}" cy="${n(v.y)}" r="${n(v.radius)}" fill="url(#cosmic-void)"/>`);
+                parts.push(`<circle cx="${n(v.x)}" cy="${n(v.y)}" r="${n(v.radius * 0.85)}" fill="none" stroke="${colors.filament}, 0.12)" stroke-dasharray="3 6"/>`);
+            }
+        }
+
+        // Each filament is one closed outline, widening along the cone like the stroked segments
+        const segments = this.filamentSegmentCount();
+        for (const f of this.filaments) {
+            const alpha = this.filamentBaseAlpha(f.type) * f.fade * (f.depth || 1.0);
+            if (alpha <= 0) continue;
+
+            const left = [];
+            const right = [];
+            for (let i = 0; i <= segments; i++) {
+                const t = i / segments;
+                const pos = bezierPoint(f, t);
+                const tangent = bezierTangent(f, t);
+                const len = Math.sqrt(tangent.dx * tangent.dx + tangent.dy * tangent.dy) || 1;
+                const half = this.filamentWidth(f, Math.min(t, 1 - 1 / segments)) / 2;
+                left.push(`${n(pos.x - tangent.dy / len * half)} ${n(pos.y + tangent.dx / len * half)}`);
+                right.push(`${n(pos.x + tangent.dy / len * half)} ${n(pos.y - tangent.dx / len * half)}`);
+            }
+            parts.push(`<path d="M${left.join('L')}L${right.reverse().join('L')}Z" fill="${colors.filament}, ${n(alpha * 1000) / 1000})"/>`);
+        }
+
+        if (this.config.layers.nodes) {
+            const linkAlpha = colors.linkAlpha;
+            const d = this.nodeLinks.map((link) => `M${n(link.a.x)} ${n(link.a.y)}L${n(link.b.x)} ${n(link.b.y)}`).join('');
+            parts.push(`<path d="${d}" stroke="${colors.filament}, ${linkAlpha})" stroke-width="1.5" fill="none"/>`);
+        }
+
+        if (this.config.layers.clusters) {
+            for (const c of this.clusters) {
+                if (!this.inWedge(c.x, c.y, this.initialOrigins[c.originIndex])) continue;
+                const clusterFade = c.fade;
+                for (const m of c.members) {
+                    const shimmer = 0.7 + 0.3 * Math.sin(this.time * this.config.shimmerSpeed + m.phase);
+                    parts.push(`<circle cx="${n(c.x + m.dx)}" cy="${n(c.y + m.dy)}" r="${n(m.size * shimmer)}" fill="${this.galaxyColors[c.colorIndex]}${n(m.alpha * shimmer * clusterFade * colors.galaxyOpacity)})"/>`);
+                }
+            }
+        }
+
+        // Same shimmer phase, drift and depth brightness as drawGalaxies() at this.time
+        for (let i = 0; i < this.visibleGalaxyCount(); i++) {
+            const g = this.galaxies[i];
+            const shimmer = 0.7 + 0.3 * Math.sin(this.time * this.config.shimmerSpeed + g.phase);
+            const colorAlpha = galaxyAlpha(colors, shimmer, g.fade, g.filamentDepth || 1.0);
+            if (colorAlpha <= 0) continue;
+
+            const x = g.x + this.config.motionAmplitude * Math.sin(this.time * 0.001 + g.phase);
+            const y = g.y + this.config.motionAmplitude * Math.cos(this.time * 0.001 + g.phase);
+            const r = g.baseSize * shimmer;
+            const color = this.galaxyColors[g.colorIndex];
+            if (this.config.layers.morphology && g.type && g.baseSize > 1.2) {
+                // Disk or ellipse under a bright core, as in drawGalaxySprite()
+                const isSpiral = g.type === 'spiral';
+                const major = r * (isSpiral ? 2.4 : 1.6);
+                const angle = n(g.orientation * 180 / Math.PI);
+                parts.push(`<ellipse cx="${n(x)}" cy="${n(y)}" rx="${n(major)}" ry="${n(major * g.axisRatio)}" transform="rotate(${angle} ${n(x)} ${n(y)})" fill="${color}${n(colorAlpha * (isSpiral ? 0.35 : 0.6))})"/>`);
+                parts.push(`<circle cx="${n(x)}" cy="${n(y)}" r="${n(r * (isSpiral ? 0.6 : 0.8))}" fill="${color}${n(colorAlpha)})"/>`);
+                continue;
+            }
+            parts.push(`<circle cx="${n(x)}" cy="${n(y)}" r="${n(r)}" fill="${color}${n(colorAlpha)})"/>`);
+        }
+
+        // Bright central point, same layered glow as drawBigBangPoint()
+        if (!origin.isPortraitOrigin) {
+            const glows = [[40, 0.15], [25, 0.3], [15, 0.5], [8, 0.8], [3, 1.0]];
+            const defs = glows.map(([, layerAlpha], i) => {
+                const alpha = n(layerAlpha * colors.glowOpacity);
+                return `
+                <radialGradient id="cosmic-glow-${i}">
+                    <stop offset="0" stop-color="${colors.bigBang.core}, ${alpha})"/>
+                    <stop offset="0.4" stop-color="${colors.bigBang.mid}, ${n(alpha * 0.6)})"/>
+                    <stop offset="1" stop-color="${colors.bigBang.outer}, 0)"/>
+                </radialGradient>`;
+            }).join('');
+            parts.push(`<defs>${defs}</defs>`);
+            glows.forEach(([radius], i) => {
+                parts.push(`<circle cx="${n(origin.x)}" cy="${n(origin.y)}" r="${radius}" fill="url(#cosmic-glow-${i})"/>`);
+            });
+        }
+
+        parts.push('</g>');
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${parts.join('\n')}\n</svg>\n`;
+    }
+
+    animate(time = 0) {
+        this.time = time;
+        this.frameCount++;
+
+        // Ease the pointer lens in and out
+        const lensTarget = this.pointer.active ? 1 : 0;
+        if (this.pointer.strength !== lensTarget) {
+            this.pointer.strength += (lensTarget - this.pointer.strength) * 0.15;
+            if (Math.abs(lensTarget - this.pointer.strength) < 0.01) this.pointer.strength = lensTarget;
+            this.needsRedraw = true;
+        }
+
+        // Intro: the web expands out of the origin, then settles into the shimmer
+        if (this.intro) {
+            if (this.intro.start === null && time > 0) this.intro.start = time;
+            const elapsed = this.intro.start === null ? 0 : time - this.intro.start;
+            const progress = Math.min(1, elapsed / this.intro.duration);
+            this.growth = 1 - Math.pow(1 - progress, 3); // Ease out, like a decelerating expansion
+            if (progress >= 1) this.intro = null;
+            this.needsRedraw = true;
+        }
+
+        // Lower tiers only advance the shimmer every few frames
+        const shimmerInterval = QUALITY_TIERS[this.qualityIndex].shimmerInterval;
+        if (this.needsRedraw || this.frameCount % shimmerInterval === 0) {
+            const start = performance.now();
+            this.draw();
+            this.recordFrame(time, performance.now() - start);
+        } else {
+            this.recordFrame(time, null);
+        }
+
+        this.frameId = this.isRunning() ? requestFrame((t) => this.animate(t)) : null;
+    }
+
+    destroy() {
+        if (this.frameId !== null) {
+            cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+        clearTimeout(this.resizeTimer);
+        this.pauseReasons.add('destroyed');
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+        this.hideTooltip();
+        if (this.tuningPanel) {
+            this.tuningPanel.close();
+        }
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.glRenderer) {
+            this.glRenderer.destroy();
+            this.glRenderer = null;
+        }
+        this.clusters = [];
+        this.galaxies = [];
+        this.filaments = [];
+        this.voids = [];
+        this.nodeLinks = [];
+    }
+}
+
+// === DEVELOPER TUNING PANEL ===
+// Opt-in overlay (?debug=cosmic or Alt+Shift+C) with sliders bound to CosmicWeb's config,
+// so the look can be tuned live and the result pasted back into the constructor options.
+const TUNING_CONTROLS = [
+    { path: 'majorFilaments', min: 1, max: 40, step: 1 },
+    { path: 'backgroundFilaments', min: 0, max: 30, step: 1 },
+    { path: 'pointsPerFilament', min: 100, max: 3000, step: 50 },
+    { path: 'maxRadius', min: 500, max: 4000, step: 50 },
+    { path: 'aberration.direction', min: 0, max: 6.28, step: 0.01 },
+    { path: 'aberration.skew', min: -1, max: 1, step: 0.01 },
+    { path: 'coneWidth.0', label: 'coneWidth (origin)', min: 0, max: 40, step: 1 },
+    { path: 'coneWidth.1', label: 'coneWidth (edge)', min: 10, max: 300, step: 5 },
+    { path: 'clusterCount', min: 0, max: 120, step: 1 },
+    { path: 'skeleton.cells', label: 'skeleton cells', min: 3, max: 150, step: 1 },
+    { path: 'skeleton.curvature', label: 'skeleton curvature', min: 0, max: 0.5, step: 0.01 },
+    { path: 'shimmerSpeed', min: 0, max: 0.02, step: 0.0005 },
+    { path: 'motionAmplitude', min: 0, max: 10, step: 0.1 },
+    { path: 'lensingRadius', min: 0, max: 150, step: 1 },
+    { path: 'parallax.scrollFactor', min: 0, max: 1, step: 0.01 }
+];
+
+class CosmicWebTuningPanel {
+    constructor(web) {
+        this.web = web;
+        this.element = null;
+        this.statsTimer = null;
+    }
+
+    open() {
+        if (this.element) return;
+
+        const config = this.web.config;
+        const sliders = TUNING_CONTROLS.map(({ path, label, min, max, step }) => `
+            <label>
+                <span>${label || path}</span>
+                <input type="range" data-path="${path}" min="${min}" max="${max}" step="${step}" value="${this.valueAt(path)}">
+                <output>${this.valueAt(path)}</output>
+            </label>
+        `).join('');
+        const layers = Object.keys(config.layers).map((name) => `
+            <label><input type="checkbox" data-path="layers.${name}" ${config.layers[name] ? 'checked' : ''}> ${name}</label>
+        `).join('');
+
+        const panel = document.createElement('aside');
+        panel.className = 'cosmic-tuning';
+        panel.setAttribute('aria-label', 'Cosmic web tuning');
+        panel.innerHTML = `
+            <header>
+                <strong>Cosmic web</strong>
+                <span class="cosmic-tuning-fps">– fps</span>
+                <button type="button" class="cosmic-tuning-close" aria-label="Close tuning panel">×</button>
+            </header>
+            ${sliders}
+            <fieldset><legend>Layers</legend>${layers}</fieldset>
+            <button type="button" class="cosmic-tuning-copy">Copy config as JSON</button>
+        `;
+
+        panel.querySelectorAll('input[type="range"]').forEach((input) => {
+            const output = input.nextElementSibling;
+            // Drawing-only keys follow the slider; anything that regenerates waits for release
+            const live = VIEW_CONFIG_KEYS.has(input.dataset.path.split('.')[0]);
+            input.addEventListener('input', () => {
+                output.textContent = input.value;
+                if (live) this.apply(input.dataset.path, Number(input.value));
+            });
+            if (!live) {
+                input.addEventListener('change', () => this.apply(input.dataset.path, Number(input.value)));
+            }
+        });
+        panel.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+            input.addEventListener('change', () => this.apply(input.dataset.path, input.checked));
+        });
+        panel.querySelector('.cosmic-tuning-close').addEventListener('click', () => this.close());
+        panel.querySelector('.cosmic-tuning-copy').addEventListener('click', (e) => this.copyConfig(e.currentTarget));
+
+        document.body.appendChild(panel);
+        this.element = panel;
+        this.statsTimer = setInterval(() => this.updateStats(), 500);
+    }
+
+    close() {
+        clearInterval(this.statsTimer);
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    toggle() {
+        if (this.element) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    valueAt(path) {
+        return path.split('.').reduce((value, key) => value[key], this.web.config);
+    }
+
+    // 'aberration.skew' -> { aberration: { skew } }; array entries replace the whole array
+    apply(path, value) {
+        const [key, ...rest] = path.split('.');
+        const current = this.web.config[key];
+        let partial;
+        if (Array.isArray(current)) {
+            const array = [...current];
+            array[Number(rest[0])] = value;
+            partial = { [key]: array };
+        } else {
+            partial = { [key]: rest.reduceRight((nested, name) => ({ [name]: nested }), value) };
+        }
+        this.web.setConfig(partial);
+    }
+
+    updateStats() {
+        this.web.requestStats(({ fps, tier }) => {
+            if (!this.element) return;
+            this.element.querySelector('.cosmic-tuning-fps').textContent =
+                `${fps ? Math.round(fps) : '–'} fps · ${tier}`;
+        });
+    }
+
+    // With the seed in use (config.seed is null unless one was set), so pasting it back gives this web
+    async copyConfig(button) {
+        const json = JSON.stringify({ ...this.web.config, seed: this.web.seed }, null, 4);
+        try {
+            await navigator.clipboard.writeText(json);
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = 'Copy config as JSON';
+            }, 1500);
+        } catch (error) {
+            window.prompt('Copy the cosmic web config:', json);
+        }
+    }
+}
+
+// === EXPORT FOR TESTING ===
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CosmicWeb,
+        CosmicWebGLRenderer,
+        COLOR_MAPS,
+        COSMIC_WEB_PRESETS,
+        MAX_GALAXY_FRACTION,
+        QUALITY_TIERS,
+        bezierPoint,
+        bezierTangent,
+        buildColorMapLUT,
+        comovingDistanceToRedshift,
+        coneWidth,
+        createRedshiftTable,
+        createSeededRandom,
+        hashSeed,
+        inWedge,
+        mergeConfig,
+        parseCatalogue,
+        redshiftToComovingDistance,
+        voronoiSkeleton
+    };
+}
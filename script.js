@@ -2,569 +2,85 @@
 const $ = (selector) => document.querySelector(selector);
 const $$ = (selector) => document.querySelectorAll(selector);
 
-// === 2dF-STYLE COSMIC WEB FIXED TO PORTRAIT ===
-// Multi-scale filamentary structure like real observations
-class CosmicWeb {
-    constructor(canvasId) {
-        this.canvas = $(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        
-        // Cosmic structures
-        this.filaments = [];
-        this.clusters = [];
-        this.galaxies = [];
-        this.portraitCenter = null;
-        this.initialPortraitCenter = null; // Store initial position for offset calculation
-        
-        // Animation
-        this.time = 0;
-        
-        // Parameters
-        this.config = {
-            majorFilaments: 10, // Reduced from 15
-            intermediateFilaments: 0, // Removed
-            minorFilaments: 0, // Removed
-            pointsPerFilament: 1200,
-            wedgeAngle: Math.PI * 2, // Full 360 degrees around portrait
-            maxRadius: 600,
-            clusterCount: 35,
-            shimmerSpeed: 0.003,
-            motionAmplitude: 2,
-            aberrationOffset: 3, // Pixels to offset for chromatic aberration
-            colors: {
-                deepSpace: 'rgba(5, 8, 20, 1.0)',
-            }
-        };
-
-        this.init();
-    }
-    
-    init() {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initialize());
-        } else {
-            this.initialize();
-        }
-    }
-
-    // Get theme-aware colors
-    getThemeColors() {
-        const theme = document.documentElement.getAttribute('data-theme') || 'dark';
-        if (theme === 'light') {
-            return {
-                filament: 'rgba(0, 0, 0', // Darker black for light mode
-                bigBang: {
-                    core: 'rgba(0, 0, 0',
-                    mid: 'rgba(20, 20, 20',
-                    outer: 'rgba(40, 40, 40'
-                },
-                galaxy: 'rgba(20, 20, 20'
-            };
-        } else {
-            return {
-                filament: 'rgba(150, 200, 255', // Blue for dark mode
-                bigBang: {
-                    core: 'rgba(255, 255, 255',
-                    mid: 'rgba(200, 220, 255',
-                    outer: 'rgba(150, 200, 255'
-                },
-                galaxy: 'rgba(150, 200, 255'
-            };
-        }
-    }
-
-    initialize() {
-        this.resize();
-        this.updatePortraitPosition();
-        this.initialPortraitCenter = { ...this.portraitCenter }; // Store initial position
-        this.generateCosmicStructure();
-        this.animate();
-
-        window.addEventListener('resize', () => {
-            this.resize();
-            this.updatePortraitPosition();
-            this.initialPortraitCenter = { ...this.portraitCenter }; // Reset initial position on resize
-            this.generateCosmicStructure();
-        });
-
-        window.addEventListener('scroll', () => {
-            this.updatePortraitPosition();
-            // Don't regenerate - just update position for offset drawing on portrait pages
-            // For non-portrait pages, keep center fixed
-        });
-    }
-
-    resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-    }
-
-    updatePortraitPosition() {
-        const portrait = document.querySelector('.about-image');
-        const isAboutPage = window.location.pathname.includes('about') || 
-                           window.location.pathname === '/' || 
-                           window.location.pathname === '/index.html';
-        
-        if (portrait && isAboutPage) {
-            // About page: center on portrait
-            const rect = portrait.getBoundingClientRect();
-            this.portraitCenter = {
-                x: rect.left + rect.width / 2,
-                y: rect.top + rect.height / 2,
-                radius: Math.min(rect.width, rect.height) / 2,
-                visible: rect.top < window.innerHeight && rect.bottom > 0,
-                isPortraitOrigin: true
-            };
-        } else {
-            // Other pages: central bright point on the right side, similar to portrait position
-            // Position it where the portrait would typically be (right side of content area)
-            const rightOffset = Math.min(window.innerWidth * 0.75, window.innerWidth - 250);
-            this.portraitCenter = {
-                x: rightOffset,
-                y: Math.min(window.innerHeight * 0.4, 400), // Upper-right area
-                radius: 20, // Small central point
-                visible: true,
-                isPortraitOrigin: false
-            };
-        }
-    }
-
-    rand(a, b) {
-        return Math.random() * (b - a) + a;
-    }
-
-    gauss(m = 0, s = 1) {
-        let u = 0, v = 0;
-        while (u === 0) u = Math.random();
-        while (v === 0) v = Math.random();
-        return m + s * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-    }
-
-    inWedge(x, y) {
-        if (!this.portraitCenter) return false;
-        const dx = x - this.portraitCenter.x;
-        const dy = y - this.portraitCenter.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        // Allow all angles, just check distance from center
-        return dist > this.portraitCenter.radius * 1.1; // Outside origin point
-    }
-
-    generateCosmicStructure() {
-        if (!this.portraitCenter) return;
-        
-        const origin = this.portraitCenter;
-        const isPortraitOrigin = origin.isPortraitOrigin;
-        
-        // Adjust parameters based on page type
-        const maxRadius = 2000; // Extended to span across page
-        const wedgeAngle = Math.PI * 2; // Always full circle now
-        
-        this.clusters = [];
-        this.filaments = [];
-        this.galaxies = [];
-
-        // Generate clusters along the filament paths
-        for (let i = 0; i < this.config.clusterCount; i++) {
-            const r = Math.pow(Math.random(), 0.8) * maxRadius * this.rand(0.3, 1);
-            const a = Math.random() * Math.PI * 2; // Full circle
-            const x = origin.x + r * Math.cos(a) + this.rand(-30, 30);
-            const y = origin.y + r * Math.sin(a) + this.rand(-30, 30);
-            this.clusters.push({ x, y, connections: 0 });
-        }
-
-        // Major filaments - straight lines with variable skew based on position
-        // Aberration effect tilted towards down-left, lifted 10° from previous (20° down from left)
-        
-        for (let i = 0; i < this.config.majorFilaments; i++) {
-            const angle = (i / this.config.majorFilaments) * Math.PI * 2; // Evenly distributed full circle
-            
-            // Start from origin edge
-            const startX = origin.x + origin.radius * Math.cos(angle);
-            const startY = origin.y + origin.radius * Math.sin(angle);
-            
-            // Rotate the aberration direction: 180° (left) + 20° (down) = 200° (down-left, lifted 10°)
-            const aberrationDirection = Math.PI + Math.PI / 3; // 180° + 20° = 200° (down-left)
-            
-            // Calculate how aligned this filament is with the aberration direction
-            // Filaments pointing opposite to aberration direction get max skew
-            const alignmentWithAberration = Math.cos(angle - aberrationDirection);
-            
-            // Apply variable skew: filaments pointing away from down-left tilt more towards down-left
-            // Reduced magnitude: -0.4 radians (~-23°) for more subtle aberration effect
-            const variableSkew = alignmentWithAberration * -0.4;
-            
-            const aberratedAngle = angle + variableSkew;
-            const endX = origin.x + maxRadius * Math.cos(aberratedAngle);
-            const endY = origin.y + maxRadius * Math.sin(aberratedAngle);
-            
-            // Assign 3D orientation angle for this filament
-            // Map the 2D angle to a 3D orientation where 0° points toward viewer
-            // We'll use a simple mapping: angle in [0, 2π] maps to 3D angle in [-π/2, π/2]
-            // This creates variation where some filaments point toward/away from viewer
-            const angle3D = Math.sin(angle * 2) * Math.PI / 2; // Varies between -π/2 and π/2
-            
-            // For straight lines, control points are along the line (no curvature)
-            this.filaments.push({
-                p0: { x: startX, y: startY },
-                p1: { x: startX + (endX - startX) * 0.33, y: startY + (endY - startY) * 0.33 },
-                p2: { x: startX + (endX - startX) * 0.67, y: startY + (endY - startY) * 0.67 },
-                p3: { x: endX, y: endY },
-                type: 'major',
-                depth: 1.0, // Foreground filaments
-                angle3D: angle3D // 3D orientation angle
-            });
-        }
-
-        // Add background filaments for depth (faint, positioned between major filaments)
-        // Place them between major filaments but not exactly in the middle
-        const backgroundCount = 5; // Reduced number of faint filaments
-        const angleStep = (Math.PI * 2) / this.config.majorFilaments;
-        
-        for (let i = 0; i < backgroundCount; i++) {
-            // Distribute across the full circle, between major filaments
-            const majorFilamentIndex = Math.floor(i * (this.config.majorFilaments / backgroundCount));
-            // Position between major filaments, offset by 35-45% of the gap (not exactly 50%)
-            const offsetRatio = 0.35 + Math.random() * 0.1; // Random offset between 35-45%
-            const angle = (majorFilamentIndex * angleStep) + (angleStep * offsetRatio);
-            
-            const startX = origin.x + origin.radius * Math.cos(angle);
-            const startY = origin.y + origin.radius * Math.sin(angle);
-            
-            const alignmentWithAberration = Math.cos(angle - (Math.PI + Math.PI / 3));
-            const variableSkew = alignmentWithAberration * -0.4;
-            
-            const aberratedAngle = angle + variableSkew;
-            const endX = origin.x + maxRadius * 0.85 * Math.cos(aberratedAngle); // Slightly shorter than major
-            const endY = origin.y + maxRadius * 0.85 * Math.sin(aberratedAngle);
-            
-            // Assign 3D orientation angle for background filaments
-            const angle3D = Math.sin(angle * 2 + Math.PI / 4) * Math.PI / 2;
-            
-            this.filaments.push({
-                p0: { x: startX, y: startY },
-                p1: { x: startX + (endX - startX) * 0.33, y: startY + (endY - startY) * 0.33 },
-                p2: { x: startX + (endX - startX) * 0.67, y: startY + (endY - startY) * 0.67 },
-                p3: { x: endX, y: endY },
-                type: 'background',
-                depth: 0.15, // Much fainter
-                angle3D: angle3D
-            });
-        }
-
-        // Populate galaxies along filaments
-        for (const f of this.filaments) {
-            const points = this.config.pointsPerFilament; // All filaments are major now
-            
-            for (let i = 0; i < points; i++) {
-                const t = i / points;
-                const pos = this.bezierPoint(f, t);
-                if (!this.inWedge(pos.x, pos.y)) continue;
-                
-                const tangent = this.bezierTangent(f, t);
-                const len = Math.sqrt(tangent.dx * tangent.dx + tangent.dy * tangent.dy) || 1;
-                const nx = -tangent.dy / len;
-                const ny = tangent.dx / len;
-                
-                // Cone effect: width INCREASES with distance from origin
-                // Galaxies spread out more as they move away from the central point
-                // Start narrow (10) and expand wider (60) to match the cone shape
-                const minWidth = 5;    // Very tight at origin
-                const maxWidth = 120;  // Very wide at edge
-                const width = minWidth + (maxWidth - minWidth) * Math.pow(t, 1.2); // Width increases exponentially with distance
-                
-                const offset = this.gauss(0, width);
-                const dist = Math.sqrt((pos.x - origin.x) ** 2 + (pos.y - origin.y) ** 2);
-                
-                this.galaxies.push({
-                    x: pos.x + nx * offset,
-                    y: pos.y + ny * offset,
-                    baseSize: 0.5 + Math.random() * 1.5,
-                    phase: Math.random() * Math.PI * 2,
-                    dist,
-                    filamentDepth: f.depth || 1.0 // Store filament's depth for brightness control
-                });
-            }
-        }
-    }
-
-    bezierPoint(f, t) {
-        const inv = 1 - t;
-        return {
-            x: inv * inv * inv * f.p0.x + 3 * inv * inv * t * f.p1.x +
-               3 * inv * t * t * f.p2.x + t * t * t * f.p3.x,
-            y: inv * inv * inv * f.p0.y + 3 * inv * inv * t * f.p1.y +
-               3 * inv * t * t * f.p2.y + t * t * t * f.p3.y
-        };
-    }
-
-    bezierTangent(f, t) {
-        const inv = 1 - t;
-        return {
-            dx: 3 * inv * inv * (f.p1.x - f.p0.x) + 6 * inv * t * (f.p2.x - f.p1.x) +
-                3 * t * t * (f.p3.x - f.p2.x),
-            dy: 3 * inv * inv * (f.p1.y - f.p0.y) + 6 * inv * t * (f.p2.y - f.p1.y) +
-                3 * t * t * (f.p3.y - f.p2.y)
-        };
-    }
-
-    draw() {
-        // Clear canvas with transparency (let CSS background show through)
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-        if (!this.portraitCenter || !this.initialPortraitCenter) return;
-
-        // Calculate offset for smooth scrolling
-        this.offsetX = this.portraitCenter.x - this.initialPortraitCenter.x;
-        this.offsetY = this.portraitCenter.y - this.initialPortraitCenter.y;
-
-        // Draw in layers
-        // this.drawClusters(); // Removed - clusters looked unrelated to the cosmic web
-        this.drawFilaments();
-        this.drawGalaxies();
-        
-        // Draw bright central point (Big Bang) for non-portrait pages
-        if (!this.portraitCenter.isPortraitOrigin) {
-            this.drawBigBangPoint();
-        }
-    }
-    
-    drawBigBangPoint() {
-        if (!this.portraitCenter) return;
-        
-        const origin = this.portraitCenter;
-        const cx = origin.x;
-        const cy = origin.y;
-        
-        // Static bright point (no pulsing)
-        const pulse = 1;
-        
-        // Get theme-aware colors
-        const colors = this.getThemeColors();
-        
-        // Multiple glowing layers for bright point
-        const gradients = [
-            { radius: 40 * pulse, alpha: 0.15 },
-            { radius: 25 * pulse, alpha: 0.3 },
-            { radius: 15 * pulse, alpha: 0.5 },
-            { radius: 8 * pulse, alpha: 0.8 },
-            { radius: 3 * pulse, alpha: 1.0 }
-        ];
-        
-        for (const g of gradients) {
-            const gradient = this.ctx.createRadialGradient(cx, cy, 0, cx, cy, g.radius);
-            gradient.addColorStop(0, `${colors.bigBang.core}, ${g.alpha})`);
-            gradient.addColorStop(0.4, `${colors.bigBang.mid}, ${g.alpha * 0.6})`);
-            gradient.addColorStop(1, `${colors.bigBang.outer}, 0)`);
-            
-            this.ctx.fillStyle = gradient;
-            this.ctx.beginPath();
-            this.ctx.arc(cx, cy, g.radius, 0, Math.PI * 2);
-            this.ctx.fill();
-        }
-    }
-
-    drawClusters() {
-        if (!this.clusters || !this.portraitCenter) return;
-        
-        const origin = this.portraitCenter;
-        const isPortraitOrigin = origin.isPortraitOrigin;
-        const maxRadius = 2000; // Match the extended radius
-        const offsetX = this.offsetX || 0;
-        const offsetY = this.offsetY || 0;
-        
-        for (const c of this.clusters) {
-            if (!this.inWedge(c.x, c.y)) continue;
-            
-            // Apply offset for scrolling
-            const cx = c.x + offsetX;
-            const cy = c.y + offsetY;
-            
-            // Distance-based fade only for portrait origin
-            const distance = Math.sqrt(Math.pow(cx - origin.x, 2) + Math.pow(cy - origin.y, 2));
-            const fadeFactor = isPortraitOrigin ? Math.max(0, 1 - distance / maxRadius) : 1;
-            
-            const r0 = 15 + 8 * c.connections;
-            const nPts = 50 + Math.floor(30 * c.connections);
-            
-            for (let i = 0; i < nPts; i++) {
-                const angle = Math.random() * 2 * Math.PI;
-                const radius = Math.pow(Math.random(), 0.5) * r0;
-                const gx = cx + radius * Math.cos(angle);
-                const gy = cy + radius * Math.sin(angle);
-                const alpha = (0.1 + 0.05 * Math.random()) * fadeFactor;
-                const size = 0.8 + Math.random() * 1.2;
-                const redShift = Math.min(1, Math.sqrt((gx - origin.x) ** 2 + (gy - origin.y) ** 2) / this.config.maxRadius);
-                const color = `rgba(${Math.floor(170 + 85 * redShift)},${Math.floor(220 - 80 * redShift)},${Math.floor(255 - 150 * redShift)},${alpha})`;
-                
-                this.ctx.fillStyle = color;
-                this.ctx.beginPath();
-                this.ctx.arc(gx, gy, size, 0, Math.PI * 2);
-                this.ctx.fill();
-            }
-        }
-    }
-
-    drawFilaments() {
-        if (!this.filaments || !this.portraitCenter) return;
-        
-        const origin = this.portraitCenter;
-        const isPortraitOrigin = origin.isPortraitOrigin;
-        const maxRadius = 2000; // Match the extended radius
-        const offsetX = this.offsetX || 0;
-        const offsetY = this.offsetY || 0;
-        
-        // Get theme-aware colors once for all filaments
-        const colors = this.getThemeColors();
-        const theme = document.documentElement.getAttribute('data-theme') || 'dark';
-        
-        for (const f of this.filaments) {
-            // Apply offset for scrolling
-            const p0x = f.p0.x + offsetX;
-            const p0y = f.p0.y + offsetY;
-            const p1x = f.p1.x + offsetX;
-            const p1y = f.p1.y + offsetY;
-            const p2x = f.p2.x + offsetX;
-            const p2y = f.p2.y + offsetY;
-            const p3x = f.p3.x + offsetX;
-            const p3y = f.p3.y + offsetY;
-            
-            // Calculate average distance of filament from origin
-            const midX = (p0x + p3x) / 2;
-            const midY = (p0y + p3y) / 2;
-            const distance = Math.sqrt(Math.pow(midX - origin.x, 2) + Math.pow(midY - origin.y, 2));
-            const fadeFactor = isPortraitOrigin ? Math.max(0, 1 - distance / maxRadius) : 1;
-            
-            // Depth-based properties with theme-aware alpha
-            const depth = f.depth || 1.0;
-            const baseAlpha = f.type === 'background' ? 
-                (theme === 'light' ? 0.03 : 0.01) : 
-                (theme === 'light' ? 0.08 : 0.01); // In light mode: much subtler filaments
-            const alpha = baseAlpha * fadeFactor * depth;
-            
-            // Draw filament with cone/tapering effect
-            // Filaments start THIN at the central point and WIDEN as they expand outward
-            // Split into segments and gradually INCREASE width (cone expanding outward)
-            const segments = 20;
-            for (let i = 0; i < segments; i++) {
-                const t1 = i / segments;
-                const t2 = (i + 1) / segments;
-                
-                // Calculate positions
-                const pos1 = this.bezierPoint({
-                    p0: {x: p0x, y: p0y},
-                    p1: {x: p1x, y: p1y},
-                    p2: {x: p2x, y: p2y},
-                    p3: {x: p3x, y: p3y}
-                }, t1);
-                const pos2 = this.bezierPoint({
-                    p0: {x: p0x, y: p0y},
-                    p1: {x: p1x, y: p1y},
-                    p2: {x: p2x, y: p2y},
-                    p3: {x: p3x, y: p3y}
-                }, t2);
-                
-                // Calculate 3D orientation width modifier
-                // Filaments pointing toward viewer (angle3D ~ 0) should be wider
-                // Filaments pointing away or sideways should be narrower
-                // Use cosine: cos(0) = 1 (toward viewer, max width), cos(±π/2) = 0 (perpendicular, min width)
-                const angle3D = f.angle3D || 0;
-                const orientationFactor = 0.4 + 0.6 * Math.abs(Math.cos(angle3D)); // Range: 0.4 to 1.0
-                
-                // Cone effect: width INCREASES from origin (thin) to outer edge (wide)
-                // Modified by 3D orientation for foreshortening effect
-                const startWidth = f.type === 'background' ? 0.15 : 0.2;  // Very thin at origin
-                const endWidth = f.type === 'background' ? 3.5 : 8.0;     // Much wider at edge
-                const baseWidth = startWidth + (endWidth - startWidth) * t1;  // Increases with distance
-                const width = baseWidth * orientationFactor; // Apply 3D orientation scaling
-                
-                this.ctx.beginPath();
-                this.ctx.moveTo(pos1.x, pos1.y);
-                this.ctx.lineTo(pos2.x, pos2.y);
-                this.ctx.strokeStyle = `${colors.filament}, ${alpha})`;
-                this.ctx.lineWidth = width;
-                this.ctx.stroke();
-            }
-        }
-    }
-
-    drawGalaxies() {
-        if (!this.galaxies || !this.portraitCenter) return;
-        
-        const origin = this.portraitCenter;
-        const isPortraitOrigin = origin.isPortraitOrigin;
-        const maxRadius = 2000; // Match the extended radius
-        const offsetX = this.offsetX || 0;
-        const offsetY = this.offsetY || 0;
-        
-        for (const g of this.galaxies) {
-            // Apply offset for scrolling
-            const gx = g.x + offsetX;
-            const gy = g.y + offsetY;
-            
-            // Distance-based fade for portrait origin (using current position)
-            const distance = Math.sqrt(Math.pow(gx - origin.x, 2) + Math.pow(gy - origin.y, 2));
-            const fadeFactor = isPortraitOrigin ? Math.max(0, 1 - distance / maxRadius) : 1;
-            
-            // Depth-based brightness: foreground filaments (depth=1.0) are much brighter
-            const filamentDepth = g.filamentDepth || 1.0;
-            const depthBrightness = filamentDepth === 1.0 ? 2.5 : 0.5; // Foreground 2.5x brighter, background 0.3x
-            
-            const baseAlpha = 0.7 + 0.3 * Math.sin(this.time * this.config.shimmerSpeed + g.phase);
-            const alpha = baseAlpha * fadeFactor * depthBrightness;
-            const r = g.baseSize * (0.7 + 0.3 * Math.sin(this.time * this.config.shimmerSpeed + g.phase));
-            const x = gx + this.config.motionAmplitude * Math.sin(this.time * 0.001 + g.phase);
-            const y = gy + this.config.motionAmplitude * Math.cos(this.time * 0.001 + g.phase);
-            const redShift = Math.min(1, g.dist / this.config.maxRadius);
-            
-            // Get theme for color calculation
-            const theme = document.documentElement.getAttribute('data-theme') || 'dark';
-            
-            // Apply redshift effect in dark mode, simple dark gray in light mode
-            let color;
-            if (theme === 'light') {
-                // Darker and more opaque for light mode
-                const lightModeAlpha = alpha * 100; // Increase opacity by 20%
-                color = `rgba(20, 20, 20, ${lightModeAlpha})`;
-            } else {
-                // Redshift effect for dark mode (blue to red as distance increases)
-                color = `rgba(${Math.floor(170 + 85 * redShift)},${Math.floor(220 - 80 * redShift)},${Math.floor(255 - 150 * redShift)},${alpha})`;
-            }
-            
-            this.ctx.fillStyle = color;
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, r, 0, Math.PI * 2);
-            this.ctx.fill();
-        }
-    }
-
-    animate(time = 0) {
-        this.time = time;
-        this.draw();
-        requestAnimationFrame((t) => this.animate(t));
-    }
-
-    destroy() {
-        this.clusters = [];
-        this.galaxies = [];
-        this.filaments = [];
-    }
-}
+// === SITE MAP ===
+// The navbar of every page is rendered from this list: adding a page means adding it here.
+// Entries with children get a dropdown on desktop and an accordion in the mobile menu.
+const SITE_MAP = [
+    { label: 'About', href: 'about.html' },
+    { label: 'CV', href: 'cv.html' },
+    {
+        label: 'Research',
+        href: 'research.html',
+        children: [
+            { label: 'Quasars Proper Motion Dipole', href: 'research_quasars.html' },
+            { label: 'High-redshift Galaxies', href: 'research_highz.html' }
+        ]
+    },
+    {
+        label: 'Notes',
+        href: 'notes.html',
+        children: [
+            { label: 'Radiative Process', href: 'notes_radiative.html' },
+            { label: 'Modern Astrophysics', href: 'notes_modern.html' },
+            { label: 'Mathematical Methods for Physics', href: 'notes_math.html' }
+        ]
+    },
+    { label: 'Travel', href: 'travel.html' },
+    { label: 'Contact', href: 'contact.html' }
+];
 
 // === NAVIGATION ===
 class Navigation {
-    constructor() {
+    constructor(siteMap = SITE_MAP) {
         this.navbar = $('#navbar');
         this.navToggle = $('#nav-toggle');
         this.navMenu = $('#nav-menu');
+        this.siteMap = siteMap;
+        this.renderMenu();
         this.navLinks = $$('.nav-link');
+        this.subLinks = $$('.nav-sublink');
+        this.submenuToggles = $$('.nav-submenu-toggle');
         this.sections = $$('.section');
+        this.isOpen = false;
+        this.mobileQuery = window.matchMedia('(max-width: 768px)'); // Same breakpoint as style.css
         
         this.init();
     }
     
+    // Top-level links, each followed by a dropdown of its sub-pages, then the theme toggle
+    renderMenu() {
+        const items = this.siteMap.map((entry) => {
+            if (!entry.children) {
+                return `<a href="${entry.href}" class="nav-link">${entry.label}</a>`;
+            }
+            
+            const id = `nav-sub-${entry.href.replace(/\.html$/, '')}`;
+            const children = entry.children.map((child) =>
+                `<a href="${child.href}" class="nav-sublink">${child.label}</a>`
+            ).join('');
+            return `
+                <div class="nav-item">
+                    <a href="${entry.href}" class="nav-link">${entry.label}</a>
+                    <button class="nav-submenu-toggle" type="button" aria-expanded="false" aria-controls="${id}" aria-label="${entry.label} pages">
+                        <i class="fas fa-chevron-down"></i>
+                    </button>
+                    <div class="nav-submenu" id="${id}">${children}</div>
+                </div>
+            `;
+        }).join('');
+        
+        this.navMenu.innerHTML = `
+            ${items}
+            <button class="theme-toggle" id="theme-toggle" type="button" aria-label="Toggle theme">
+                <i class="fas fa-moon"></i>
+            </button>
+        `;
+    }
+    
     init() {
         this.setupScrollEffect();
         this.setupMobileMenu();
+        this.setupSubmenus();
         this.setupSmoothScrolling();
         this.setupActiveNavigation();
         
@@ -583,21 +99,146 @@ class Navigation {
         window.addEventListener('scroll', handleScroll);
     }
     
+    // #nav-toggle is a disclosure button for #nav-menu: aria-expanded mirrors the menu, Tab is
+    // kept inside the open menu and Escape closes it
     setupMobileMenu() {
-        this.navToggle.addEventListener('click', () => {
-            this.navMenu.classList.toggle('active');
-            this.navToggle.classList.toggle('active');
-        });
+        this.navToggle.setAttribute('aria-controls', 'nav-menu');
+        this.navToggle.setAttribute('aria-expanded', 'false');
+        this.navToggle.addEventListener('click', () => this.toggleMenu());
         
         // Close mobile menu when clicking on a link
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                this.navMenu.classList.remove('active');
-                this.navToggle.classList.remove('active');
+        [...this.navLinks, ...this.subLinks].forEach(link => {
+            link.addEventListener('click', () => this.closeMenu());
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            if (e.key === 'Escape' && this.navMenu.querySelector('.nav-submenu.open')) {
+                return; // setupSubmenus() closes the dropdown first
+            }
+            if (e.key === 'Escape') {
+                this.closeMenu();
+                this.navToggle.focus();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+        
+        // Clicking anywhere outside the menu closes it
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && !this.navbar.contains(e.target)) {
+                this.closeMenu();
+            }
+        });
+        
+        // The desktop layout has no disclosure (older Safari only has addListener on media queries)
+        if (this.mobileQuery.addEventListener) {
+            this.mobileQuery.addEventListener('change', () => this.closeMenu());
+        } else if (this.mobileQuery.addListener) {
+            this.mobileQuery.addListener(() => this.closeMenu());
+        }
+    }
+    
+    toggleMenu() {
+        if (this.isOpen) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    }
+    
+    openMenu() {
+        this.isOpen = true;
+        this.navMenu.classList.add('active');
+        this.navToggle.classList.add('active');
+        this.navToggle.setAttribute('aria-expanded', 'true');
+        this.navToggle.setAttribute('aria-label', 'Close menu');
+        
+        const first = this.menuFocusables()[0];
+        if (first) first.focus();
+    }
+    
+    closeMenu() {
+        this.isOpen = false;
+        this.navMenu.classList.remove('active');
+        this.navToggle.classList.remove('active');
+        this.navToggle.setAttribute('aria-expanded', 'false');
+        this.navToggle.setAttribute('aria-label', 'Open menu');
+        this.closeSubmenus();
+    }
+    
+    // Links and buttons that can currently take focus (collapsed sub-menus are not rendered)
+    menuFocusables() {
+        return [...this.navMenu.querySelectorAll('a[href], button:not([disabled])')]
+            .filter(element => element.getClientRects().length > 0);
+    }
+    
+    // Each chevron button discloses its sub-menu: a dropdown on desktop (which also opens on hover),
+    // an accordion section in the mobile menu. setSubmenu() is the only place the open state
+    // changes, so aria-expanded always matches what is shown.
+    setupSubmenus() {
+        this.submenuToggles.forEach(toggle => {
+            toggle.addEventListener('click', () => {
+                const expanded = toggle.getAttribute('aria-expanded') === 'true';
+                this.closeSubmenus();
+                if (!expanded) this.setSubmenu(toggle, true);
+            });
+            
+            const item = toggle.closest('.nav-item');
+            item.addEventListener('mouseenter', () => {
+                if (this.mobileQuery.matches) return;
+                this.closeSubmenus();
+                this.setSubmenu(toggle, true);
             });
+            item.addEventListener('mouseleave', () => {
+                if (!this.mobileQuery.matches) this.setSubmenu(toggle, false);
+            });
+            // Tabbing past the last sub-link closes the dropdown behind it
+            item.addEventListener('focusout', (e) => {
+                if (!this.mobileQuery.matches && !item.contains(e.relatedTarget)) this.setSubmenu(toggle, false);
+            });
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            const open = this.navMenu.querySelector('.nav-submenu.open');
+            if (!open) return;
+            this.closeSubmenus();
+            open.parentElement.querySelector('.nav-submenu-toggle').focus();
+        });
+        
+        document.addEventListener('click', (e) => {
+            if (!this.navbar.contains(e.target)) this.closeSubmenus();
         });
     }
     
+    setSubmenu(toggle, expanded) {
+        toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        document.getElementById(toggle.getAttribute('aria-controls')).classList.toggle('open', expanded);
+    }
+    
+    closeSubmenus() {
+        this.submenuToggles.forEach(toggle => this.setSubmenu(toggle, false));
+    }
+    
+    // Cycle Tab and Shift+Tab through the toggle and the menu while it is open
+    trapFocus(e) {
+        const focusables = [this.navToggle, ...this.menuFocusables()];
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!focusables.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
     setupSmoothScrolling() {
         // For separate pages, we don't need smooth scrolling
         // The navigation links already point to the correct HTML files
@@ -605,7 +246,13 @@ class Navigation {
         return;
     }
     
+    // Pages are separate files, so the active link is the one for the current page or, on a sub-page
+    // like research_quasars.html, for its parent research.html. Same-page #section links (if any)
+    // still follow the scroll position.
     setupActiveNavigation() {
+        this.markCurrentPage();
+        if (![...this.navLinks].some(link => link.getAttribute('href').startsWith('#'))) return;
+        
         const observerOptions = {
             root: null,
             rootMargin: '-50% 0px -50% 0px',
@@ -626,11 +273,48 @@ class Navigation {
         });
     }
     
+    markCurrentPage() {
+        const page = Navigation.pageName(window.location.pathname);
+        const entry = this.siteMap.find(item =>
+            item.href === page || (item.children || []).some(child => child.href === page));
+        // Pages not in the site map yet still light up their section by name
+        const parent = entry ? entry.href : Navigation.parentPage(page);
+        
+        [...this.navLinks, ...this.subLinks].forEach(link => {
+            const href = link.getAttribute('href');
+            const target = href.startsWith('#') ? null : Navigation.pageName(new URL(href, window.location.href).pathname);
+            const current = target === page ? 'page' : (target === parent ? 'true' : null);
+            
+            link.classList.toggle('active', current !== null);
+            if (current) {
+                link.setAttribute('aria-current', current);
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+    
+    // File name of a path (hosts serving /research_quasars get .html added); the site root and
+    // index.html are the About page they redirect to
+    static pageName(pathname) {
+        const file = decodeURIComponent(pathname.split('/').pop() || '');
+        if (file === '' || file === 'index.html' || file === 'index') return 'about.html';
+        return file.includes('.') ? file : `${file}.html`;
+    }
+    
+    // research_quasars.html -> research.html; top-level pages are their own parent
+    static parentPage(page) {
+        const match = page.match(/^([^_]+)_.+\.html$/);
+        return match ? `${match[1]}.html` : page;
+    }
+    
     updateActiveNavLink(targetId) {
         this.navLinks.forEach(link => {
             link.classList.remove('active');
+            link.removeAttribute('aria-current');
             if (link.getAttribute('href') === targetId) {
                 link.classList.add('active');
+                link.setAttribute('aria-current', 'location');
             }
         });
     }
@@ -659,15 +343,15 @@ class ThemeToggle {
         this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
         this.applyTheme(this.currentTheme);
         localStorage.setItem('theme', this.currentTheme);
-        
-        // Force cosmic web to redraw with new theme colors
-        if (this.cosmicWeb) {
-            this.cosmicWeb.draw();
-        }
     }
     
     applyTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
+        
+        // Let the cosmic web redraw with the new theme colors (it may live in a worker)
+        if (this.cosmicWeb) {
+            this.cosmicWeb.setTheme(theme);
+        }
         const icon = this.themeToggle.querySelector('i');
         
         if (theme === 'light') {
@@ -1013,7 +697,7 @@ setTimeout(() => {
 
 // === EXPORT FOR TESTING ===
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { App, CosmicWeb, Navigation, ThemeToggle, ContactForm };
+    module.exports = { App, Navigation, SITE_MAP, ThemeToggle, ContactForm };
 }
 
 // === TABLE OF CONTENTS TOGGLE ===
@@ -0,0 +1,338 @@
+// Geometry and structure tests for cosmic-web.js, run with: node --test tests/
+// CosmicWeb is built with { autoStart: false } around a fake canvas, so no DOM is needed.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CosmicWeb,
+    MAX_GALAXY_FRACTION,
+    QUALITY_TIERS,
+    bezierPoint,
+    bezierTangent,
+    coneWidth,
+    createSeededRandom,
+    inWedge,
+    parseCatalogue,
+    voronoiSkeleton
+} = require('../cosmic-web.js');
+
+const fakeCanvas = () => ({ width: 0, height: 0, dataset: {}, getContext: () => null });
+const bigBang = { x: 960, y: 320, radius: 20, isPortraitOrigin: false };
+
+function createWeb(config = {}) {
+    return new CosmicWeb(fakeCanvas(), { autoStart: false, seed: 'tests', ...config });
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+const line = { p0: { x: 0, y: 0 }, p1: { x: 33, y: 0 }, p2: { x: 67, y: 0 }, p3: { x: 100, y: 0 } };
+
+test('bezierPoint starts at p0 and ends at p3', () => {
+    const curve = { p0: { x: 1, y: 2 }, p1: { x: 40, y: -30 }, p2: { x: 80, y: 90 }, p3: { x: 120, y: 10 } };
+    assert.deepEqual(bezierPoint(curve, 0), curve.p0);
+    assert.deepEqual(bezierPoint(curve, 1), curve.p3);
+});
+
+test('bezierTangent follows a straight filament', () => {
+    for (const t of [0, 0.25, 0.5, 1]) {
+        const tangent = bezierTangent(line, t);
+        assert.ok(tangent.dx > 0);
+        assert.equal(tangent.dy, 0);
+    }
+});
+
+test('inWedge excludes the origin point and respects the wedge', () => {
+    const origin = { x: 0, y: 0, radius: 10 };
+    const full = { wedgeAngle: Math.PI * 2, wedgeRotation: 0 };
+    assert.equal(inWedge(5, 5, origin, full), false);
+    assert.equal(inWedge(-200, 30, origin, full), true);
+    assert.equal(inWedge(100, 0, null, full), false);
+
+    const quarter = { wedgeAngle: Math.PI / 2, wedgeRotation: -Math.PI / 4 };
+    assert.equal(inWedge(100, 0, origin, quarter), true);
+    assert.equal(inWedge(100, -90, origin, quarter), true); // Just inside the starting edge
+    assert.equal(inWedge(0, 100, origin, quarter), false);
+    assert.equal(inWedge(-100, 0, origin, quarter), false);
+});
+
+test('coneWidth widens from the origin to the edge', () => {
+    assert.equal(coneWidth(0, [5, 120]), 5);
+    assert.equal(coneWidth(1, [5, 120]), 120);
+    let previous = 0;
+    for (let t = 0; t <= 1; t += 0.1) {
+        const width = coneWidth(t, [5, 120]);
+        assert.ok(width > previous);
+        previous = width;
+    }
+});
+
+test('filaments run from the origin edge to maxRadius', () => {
+    const web = createWeb();
+    web.generate(1280, 800, [bigBang]);
+    const { majorFilaments, backgroundFilaments, backgroundLength, maxRadius } = web.config;
+
+    const major = web.filaments.filter((f) => f.type === 'major');
+    const background = web.filaments.filter((f) => f.type === 'background');
+    assert.equal(major.length, majorFilaments);
+    assert.equal(background.length, backgroundFilaments);
+
+    for (const f of web.filaments) {
+        const reach = f.type === 'major' ? maxRadius : maxRadius * backgroundLength;
+        assert.ok(Math.abs(distance(f.p0, bigBang) - bigBang.radius) < 1e-9);
+        assert.ok(Math.abs(distance(f.p3, bigBang) - reach) < 1e-9);
+    }
+});
+
+test('galaxy scatter follows the cone width along a filament', () => {
+    const web = createWeb({ majorFilaments: 1, backgroundFilaments: 0 });
+    web.generate(1280, 800, [bigBang]);
+    const [f] = web.filaments;
+    const length = distance(f.p0, f.p3);
+    const ux = (f.p3.x - f.p0.x) / length;
+    const uy = (f.p3.y - f.p0.y) / length;
+
+    // RMS distance from the (straight) filament near its start and near its end
+    const spread = (from, to) => {
+        const offsets = [];
+        for (const g of web.galaxies) {
+            const along = ((g.x - f.p0.x) * ux + (g.y - f.p0.y) * uy) / length;
+            if (along < from || along >= to) continue;
+            offsets.push((g.x - f.p0.x) * -uy + (g.y - f.p0.y) * ux);
+        }
+        return Math.sqrt(offsets.reduce((sum, d) => sum + d * d, 0) / offsets.length);
+    };
+
+    const [minWidth, maxWidth] = web.config.coneWidth;
+    assert.ok(spread(0.02, 0.1) < coneWidth(0.1, web.config.coneWidth) * 1.5);
+    assert.ok(spread(0.02, 0.1) > minWidth * 0.5);
+    assert.ok(spread(0.9, 1) > maxWidth * 0.7);
+    assert.ok(spread(0.9, 1) < maxWidth * 1.3);
+});
+
+test('every in-wedge sample along a filament becomes one galaxy', () => {
+    const expected = (web, origins) => {
+        const points = Math.round(web.config.pointsPerFilament * MAX_GALAXY_FRACTION / origins.length);
+        let count = 0;
+        for (const f of web.filaments) {
+            for (let i = 0; i < points; i++) {
+                const pos = bezierPoint(f, i / points);
+                if (inWedge(pos.x, pos.y, origins[f.originIndex], web.config)) count++;
+            }
+        }
+        return count;
+    };
+
+    const full = createWeb();
+    full.generate(1280, 800, [bigBang]);
+    assert.equal(full.galaxies.length, expected(full, [bigBang]));
+
+    const wedge = createWeb({ wedgeAngle: Math.PI / 3 });
+    wedge.generate(1280, 800, [bigBang]);
+    assert.equal(wedge.galaxies.length, expected(wedge, [bigBang]));
+    assert.ok(wedge.galaxies.length < full.galaxies.length / 3);
+
+    // Two origins split the budget of one
+    const pair = [
+        { x: 300, y: 300, radius: 80, isPortraitOrigin: true },
+        { x: 900, y: 500, radius: 80, isPortraitOrigin: true }
+    ];
+    const shared = createWeb();
+    shared.generate(1280, 800, pair);
+    assert.equal(shared.filaments.length, full.filaments.length * 2);
+    assert.equal(shared.galaxies.length, expected(shared, pair));
+    assert.ok(Math.abs(shared.galaxies.length - full.galaxies.length) < full.galaxies.length * 0.05);
+});
+
+test('higher quality tiers draw more of the galaxies', () => {
+    const web = createWeb();
+    web.generate(1280, 800, [bigBang]);
+    const counts = QUALITY_TIERS.map((tier, index) => {
+        web.qualityIndex = index;
+        return web.visibleGalaxyCount();
+    });
+    for (let i = 1; i < counts.length; i++) assert.ok(counts[i] > counts[i - 1]);
+    assert.equal(counts[counts.length - 1], web.galaxies.length);
+});
+
+test('auto quality climbs back up from medium on a cheap 60fps device', () => {
+    const web = createWeb({ quality: 'auto', targetFps: 60 });
+    web.generate(1280, 800, [bigBang]);
+    web.setQualityIndex(QUALITY_TIERS.findIndex((tier) => tier.name === 'medium'));
+    web.draw = () => { web.needsRedraw = false; };
+    web.isRunning = () => false;
+    for (let frame = 1; frame <= 600; frame++) web.animate(frame * 16.7);
+    const high = QUALITY_TIERS.findIndex((tier) => tier.name === 'high');
+    assert.ok(web.qualityIndex >= high, `stayed at ${web.qualityTier}`);
+});
+
+test('the first frame after start does not count as a slow rAF interval', () => {
+    const web = createWeb({ quality: 'auto', targetFps: 60 });
+    web.draw = () => { web.needsRedraw = false; };
+    web.isRunning = () => false;
+    web.start(1280, 800, [bigBang]);
+    for (let frame = 0; frame < 60; frame++) web.animate(600 + frame * 16.7);
+    assert.equal(web.qualityTier, 'high');
+});
+
+test('the same seed generates the same structure', () => {
+    const a = createWeb();
+    const b = createWeb();
+    const c = createWeb({ seed: 'other' });
+    for (const web of [a, b, c]) web.generate(1280, 800, [bigBang]);
+
+    assert.deepEqual(a.galaxies.slice(0, 50), b.galaxies.slice(0, 50));
+    assert.deepEqual(a.filaments, b.filaments);
+    assert.notDeepEqual(a.galaxies.slice(0, 50), c.galaxies.slice(0, 50));
+});
+
+test('galaxiesWithin matches a scan of every drawn galaxy', () => {
+    const web = createWeb({ parallax: { zoomThrough: true } });
+    web.generate(1280, 800, [bigBang]);
+    web.zoom = 0.3;
+    web.offsetX = -40;
+    web.offsetY = 120;
+
+    const scan = (x, y, radius) => web.galaxies.slice(0, web.visibleGalaxyCount()).filter((g) => {
+        const t = web.layerTransform(g.filamentDepth);
+        return Math.hypot(g.x * t.scale + t.x - x, g.y * t.scale + t.y - y) <= radius;
+    });
+
+    for (const [x, y, radius] of [[960, 320, 60], [200, 700, 25], [1500, -200, 300]]) {
+        const found = web.galaxiesWithin(x, y, radius);
+        assert.equal(found.length, scan(x, y, radius).length);
+        for (let i = 1; i < found.length; i++) assert.ok(found[i].distance >= found[i - 1].distance);
+    }
+    assert.equal(web.nearestGalaxy(-5000, -5000, 10), null);
+});
+
+test('viewport culling keeps every galaxy resting on the canvas', () => {
+    const web = createWeb();
+    web.generate(1280, 800, [bigBang]);
+    const culled = new Set(web.galaxyIndicesIn(0, 0, 1280, 800));
+    for (let i = 0; i < web.visibleGalaxyCount(); i++) {
+        const g = web.galaxies[i];
+        const t = web.layerTransform(g.filamentDepth);
+        const x = g.x * t.scale + t.x;
+        const y = g.y * t.scale + t.y;
+        if (x >= 0 && x <= 1280 && y >= 0 && y <= 800) assert.ok(culled.has(i));
+    }
+    assert.ok(culled.size < web.visibleGalaxyCount());
+});
+
+test('voronoiSkeleton vertices are centred on empty circles through three cells', () => {
+    const random = createSeededRandom('voronoi');
+    const centres = Array.from({ length: 30 }, () => ({ x: random() * 1000, y: random() * 1000 }));
+    const { vertices, edges } = voronoiSkeleton(centres);
+    assert.ok(vertices.length > 0);
+
+    for (const v of vertices) {
+        const distances = centres.map((c) => Math.hypot(c.x - v.x, c.y - v.y)).sort((a, b) => a - b);
+        assert.ok(distances[2] - distances[0] < 1e-6); // Nearest three are equidistant, none is closer
+    }
+    for (const [a, b] of edges) {
+        assert.ok(a !== b && a < vertices.length && b < vertices.length);
+    }
+});
+
+test('skeleton mode builds curved filaments that branch at shared nodes', () => {
+    const web = createWeb({ preset: 'skeleton' });
+    web.generate(1280, 800, [bigBang]);
+    const major = web.filaments.filter((f) => f.type === 'major');
+    assert.ok(major.length > web.config.majorFilaments);
+
+    // Control points off the straight line between the ends
+    const bent = major.filter((f) => {
+        const cross = (f.p3.x - f.p0.x) * (f.p1.y - f.p0.y) - (f.p3.y - f.p0.y) * (f.p1.x - f.p0.x);
+        return Math.abs(cross) > 1;
+    });
+    assert.ok(bent.length > major.length / 2);
+
+    // Filaments share end points, and some nodes join three or more
+    const degree = new Map();
+    for (const f of major) {
+        for (const p of [f.p0, f.p3]) {
+            const key = `${p.x.toFixed(6)},${p.y.toFixed(6)}`;
+            degree.set(key, (degree.get(key) || 0) + 1);
+        }
+    }
+    assert.ok([...degree.values()].some((count) => count >= 3));
+
+    // Every filament stays within the structure and starts no further out than it ends
+    for (const f of web.filaments) {
+        assert.ok(distance(f.p3, bigBang) <= web.config.maxRadius + 1e-9);
+        assert.ok(distance(f.p0, bigBang) <= distance(f.p3, bigBang) + 1e-9);
+    }
+    assert.ok(web.galaxies.length > 0);
+});
+
+test('the radial preset matches the default generator', () => {
+    const plain = createWeb();
+    const radial = createWeb({ preset: 'radial' });
+    for (const web of [plain, radial]) web.generate(1280, 800, [bigBang]);
+    assert.deepEqual(radial.filaments, plain.filaments);
+    assert.equal(radial.galaxies.length, plain.galaxies.length);
+});
+
+test('explicit constructor options override the preset', () => {
+    const web = createWeb({ preset: 'minimal', interactive: true, majorFilaments: 20 });
+    assert.equal(web.config.interactive, true);
+    assert.equal(web.config.majorFilaments, 20);
+    assert.equal(web.config.backgroundFilaments, 0);
+});
+
+test('switching interactive off releases the pointer lens', () => {
+    const web = createWeb();
+    web.setPointer(100, 100, true);
+    assert.equal(web.pointer.active, true);
+    web.setConfig({ interactive: false });
+    assert.equal(web.pointer.active, false);
+    web.setPointer(120, 100, true);
+    assert.equal(web.pointer.active, false);
+});
+
+test('zero major filaments still lays out finite background filaments and voids', () => {
+    const web = createWeb({ majorFilaments: 0, backgroundFilaments: 6, layers: { voids: true } });
+    web.generate(1280, 800, [bigBang]);
+    assert.equal(web.filaments.length, 6);
+    assert.ok(web.voids.length > 0);
+    for (const f of web.filaments) assert.ok(Number.isFinite(f.p3.x) && Number.isFinite(f.p3.y));
+    for (const v of web.voids) assert.ok(Number.isFinite(v.x) && Number.isFinite(v.y));
+});
+
+test('parseCatalogue reads quoted headers and semicolon-separated files', () => {
+    const expected = [{ ra: 150.1, dec: 2.2, z: 0.05 }];
+    assert.deepEqual(parseCatalogue('"RA","Dec","z"\n"150.1","2.2","0.05"\n'), expected);
+    assert.deepEqual(parseCatalogue('ra;dec;z\n150,1;2,2;0,05\n'), expected);
+    assert.deepEqual(parseCatalogue('name,ra,dec,z\n"NGC 1, A",150.1,2.2,0.05\n'), expected);
+});
+
+test('switching presets leaves nothing of the previous one behind', () => {
+    for (const [from, to] of [['millennium-sim', 'minimal'], ['skeleton', 'radial']]) {
+        const web = createWeb({ preset: from });
+        web.setConfig({ preset: to });
+        assert.deepEqual(web.config, createWeb({ preset: to }).config);
+    }
+});
+
+test('voids are laid out around every origin', () => {
+    const figures = [200, 600, 1000, 1400].map((y) => ({ x: 640, y, radius: 100, isPortraitOrigin: true }));
+    const web = createWeb({ voidCount: 8, layers: { voids: true } });
+    web.generate(1280, 1600, figures);
+    figures.forEach((figure, index) => {
+        const voids = web.voids.filter((v) => v.originIndex === index);
+        assert.equal(voids.length, 2);
+        for (const v of voids) assert.ok(distance(v, figure) <= web.config.maxRadius * 0.75);
+    });
+});
+
+test('skeleton voids sit in the Voronoi cells, clear of the filament nodes', () => {
+    const web = createWeb({ preset: 'skeleton', layers: { voids: true } });
+    web.generate(1280, 800, [bigBang]);
+    assert.ok(web.voids.length > 0);
+    const nodes = web.filaments.filter((f) => f.type === 'major').flatMap((f) => [f.p0, f.p3])
+        .filter((p) => distance(p, bigBang) > bigBang.radius * 1.5);
+    for (const v of web.voids) {
+        for (const node of nodes) assert.ok(distance(v, node) >= v.radius - 1e-6);
+    }
+});